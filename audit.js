@@ -0,0 +1,248 @@
+'use strict';
+
+var debug = require('debug')('npmjs::audit')
+  , lockfile = require('./lockfile')
+  , errors = require('./errors')
+  , semver = require('./semver');
+
+/**
+ * The severities of the advisories, most severe first.
+ *
+ * @type {Array}
+ * @private
+ */
+var severities = ['critical', 'high', 'moderate', 'low', 'info'];
+
+/**
+ * The pathname of the bulk advisory API of the registry.
+ *
+ * @type {String}
+ * @private
+ */
+var pathname = '-/npm/v1/security/advisories/bulk';
+
+/**
+ * Normalize an advisory of the bulk advisory API.
+ *
+ * @param {Object} data The advisory.
+ * @returns {Object}
+ * @api public
+ */
+function advisory(data) {
+  return {
+    id: data.id,
+    title: data.title,
+    url: data.url,
+    severity: ~severities.indexOf(data.severity) ? data.severity : 'info',
+    range: data.vulnerable_versions || '*',
+    cwe: data.cwe || [],
+    cvss: data.cvss
+  };
+}
+
+/**
+ * Find the lowest version, that is not lower than the installed version, which
+ * is not vulnerable to any of the given advisories. Pre-releases are ignored.
+ *
+ * @param {Array} versions The published versions of the package.
+ * @param {String} version The installed version.
+ * @param {Array} advisories The normalized advisories of the package.
+ * @returns {String|Undefined} The version that fixes the advisories.
+ * @api public
+ */
+function fix(versions, version, advisories) {
+  return versions.filter(function filter(candidate) {
+    return semver.valid(candidate)
+    && !semver.prerelease(candidate)
+    && (!semver.valid(version) || semver.gte(candidate, version))
+    && !advisories.some(function some(advisory) {
+      return semver.satisfies(candidate, advisory.range);
+    });
+  }).sort(semver.compare)[0];
+}
+
+/**
+ * Find the installed packages of a lockfile or a resolved tree of
+ * `Packages#tree`.
+ *
+ * @param {Object} input The lockfile or resolved tree.
+ * @returns {Array} The installed packages, see `lockfile.walk`.
+ * @api private
+ */
+function installed(input) {
+  if (input.lockfileVersion) {
+    if (!input.packages) throw new errors.InvalidInput('Unsupported lockfileVersion '+ input.lockfileVersion);
+    return lockfile.walk(input);
+  }
+
+  var root = input.packages[input.root]
+    , manifest = { name: root.name, version: root.version };
+
+  ['dependencies', 'optionalDependencies', 'peerDependencies', 'devDependencies'].forEach(function each(type) {
+    manifest[type] = Object.keys(root[type] || {}).reduce(function reduce(memo, name) {
+      memo[name] = root.ranges[name];
+      return memo;
+    }, {});
+  });
+
+  return lockfile.walk(lockfile.create(input, manifest));
+}
+
+/**
+ * Create the report of the vulnerable packages, grouped by severity. Every
+ * vulnerable version of a package is reported once for every advisory, with
+ * all dependency paths that lead to it and the version that fixes it.
+ *
+ * @param {Array} packages The installed packages.
+ * @param {Object} advisories The normalized advisories, keyed by name.
+ * @param {Object} versions The published versions, keyed by name.
+ * @returns {Object} Arrays of vulnerabilities, keyed by severity.
+ * @api private
+ */
+function report(packages, advisories, versions) {
+  var result = {}
+    , found = Object.create(null);
+
+  severities.forEach(function each(severity) {
+    result[severity] = [];
+  });
+
+  packages.forEach(function each(pkg) {
+    var matching = (advisories[pkg.name] || []).filter(function filter(advisory) {
+      return semver.valid(pkg.version) && semver.satisfies(pkg.version, advisory.range);
+    }), fixed;
+
+    if (!matching.length) return;
+    fixed = fix(versions[pkg.name] || [], pkg.version, matching);
+
+    matching.forEach(function each(advisory) {
+      var key = advisory.id +'@'+ pkg.name +'@'+ pkg.version;
+
+      if (key in found) {
+        Array.prototype.push.apply(found[key].paths, pkg.paths);
+        return;
+      }
+
+      found[key] = {
+        id: advisory.id,
+        title: advisory.title,
+        url: advisory.url,
+        severity: advisory.severity,
+        range: advisory.range,
+        cwe: advisory.cwe,
+        cvss: advisory.cvss,
+        name: pkg.name,
+        version: pkg.version,
+        dev: pkg.dev,
+        paths: pkg.paths.slice(),
+        fix: fixed
+      };
+
+      result[advisory.severity].push(found[key]);
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Audit the dependencies of a package.json, a lockfile or a resolved tree of
+ * `Packages#tree` using the bulk advisory API of the registry. The dependencies
+ * of a package.json are resolved first. The following options are accepted:
+ *
+ * - dev: Include the devDependencies, defaults to true.
+ * - concurrency: Maximum amount of packages we resolve at once, defaults to 10.
+ *
+ * Packages of scopes that use their own registry are not send to the registry.
+ *
+ * @param {Registry} api Reference to the wrapping registry.
+ * @param {Object} input The package.json, lockfile or resolved tree.
+ * @param {Object} options Optional configuration.
+ * @param {Function} fn The callback.
+ * @api public
+ */
+function audit(api, input, options, fn) {
+  options = options || {};
+
+  var dev = 'dev' in options ? options.dev : true
+    , bulk = Object.create(null)
+    , packages;
+
+  if ('object' !== typeof input || !input) {
+    return api.bail(fn, new errors.InvalidInput('A package.json, lockfile or tree is required'));
+  }
+
+  //
+  // A package.json doesn't have any `packages`, we need to resolve its
+  // dependencies before we know which versions are installed.
+  //
+  if (!input.packages && !input.lockfileVersion) {
+    return api.packages.lockfile(input, {
+      concurrency: 'concurrency' in options ? options.concurrency : 10,
+      dev: dev
+    }, function resolved(err, lock) {
+      if (err) return fn(err);
+      audit(api, lock, options, fn);
+    });
+  }
+
+  try { packages = installed(input); }
+  catch (e) { return api.bail(fn, e); }
+
+  packages = packages.filter(function filter(pkg) {
+    return pkg.version && (dev || !pkg.dev) && api.registry(pkg.name) === api.api;
+  });
+
+  packages.forEach(function each(pkg) {
+    bulk[pkg.name] = bulk[pkg.name] || [];
+    if (!~bulk[pkg.name].indexOf(pkg.version)) bulk[pkg.name].push(pkg.version);
+  });
+
+  debug('auditing %d packages', packages.length);
+
+  return api.send(pathname, {
+    method: 'POST',
+    json: bulk
+  }, function advised(err, data) {
+    data = Array.isArray(data) ? data[0] : data;
+    if (err) return fn(err);
+
+    var advisories = Object.create(null)
+      , versions = Object.create(null)
+      , names;
+
+    Object.keys(data || {}).forEach(function each(name) {
+      advisories[name] = (data[name] || []).map(advisory);
+    });
+
+    //
+    // We need the published versions of the vulnerable packages to find the
+    // versions that fix them.
+    //
+    names = Object.keys(advisories).filter(function filter(name) {
+      return advisories[name].length && name in bulk;
+    });
+
+    if (!names.length) return fn(undefined, report(packages, advisories, versions));
+
+    names.forEach(function each(name) {
+      api.packages.get(name, function fetched(err, data) {
+        data = Array.isArray(data) ? data[0] : data;
+        versions[name] = Object.keys(!err && data && data.versions || {});
+
+        if (Object.keys(versions).length === names.length) {
+          fn(undefined, report(packages, advisories, versions));
+        }
+      });
+    });
+  });
+}
+
+//
+// Expose the helpers so they can be used by the endpoints.
+//
+audit.pathname = pathname;
+audit.advisory = advisory;
+audit.fix = fix;
+
+module.exports = audit;
@@ -0,0 +1,173 @@
+'use strict';
+
+var crypto = require('crypto')
+  , path = require('path')
+  , fs = require('fs');
+
+/**
+ * Execute the callback in the next tick so our stores are always asynchronous.
+ *
+ * @type {Function}
+ * @api private
+ */
+var immediate = global.setImmediate ? global.setImmediate : global.setTimeout;
+
+/**
+ * In-memory cache store which evicts the least recently used responses once
+ * the maximum amount of responses is reached. The following options are
+ * accepted:
+ *
+ * - max: Maximum amount of responses we store, defaults to 500.
+ *
+ * @constructor
+ * @param {Object} options Configuration.
+ * @api public
+ */
+function Memory(options) {
+  options = options || {};
+
+  this.max = 'max' in options ? options.max : 500;
+  this.clear();
+}
+
+/**
+ * Retrieve a response from the cache. The responses are stored as JSON so
+ * modifications of the returned data never leak in to the cache.
+ *
+ * @param {String} key The URL of the response.
+ * @param {Function} fn The callback.
+ * @api public
+ */
+Memory.prototype.get = function get(key, fn) {
+  var value = this.responses[key];
+
+  //
+  // Re-insert the response so it becomes the most recently used.
+  //
+  if (value !== undefined) {
+    delete this.responses[key];
+    this.responses[key] = value;
+  }
+
+  immediate(function next() {
+    fn(undefined, value !== undefined ? JSON.parse(value) : undefined);
+  });
+};
+
+/**
+ * Store a response in the cache.
+ *
+ * @param {String} key The URL of the response.
+ * @param {Object} value The response.
+ * @param {Function} fn The callback.
+ * @api public
+ */
+Memory.prototype.set = function set(key, value, fn) {
+  if (key in this.responses) delete this.responses[key];
+  else this.length++;
+
+  this.responses[key] = JSON.stringify(value);
+
+  for (key in this.responses) {
+    if (this.length <= this.max) break;
+
+    delete this.responses[key];
+    this.length--;
+  }
+
+  if (fn) immediate(fn);
+};
+
+/**
+ * Remove all stored responses.
+ *
+ * @api public
+ */
+Memory.prototype.clear = function clear() {
+  this.responses = Object.create(null);
+  this.length = 0;
+};
+
+/**
+ * File system cache store which stores every response as JSON file in the
+ * given directory. The following options are accepted:
+ *
+ * - directory: The directory we store the responses in.
+ *
+ * @constructor
+ * @param {Object|String} options Configuration or the directory.
+ * @api public
+ */
+function Filesystem(options) {
+  if ('string' === typeof options) options = { directory: options };
+  options = options || {};
+
+  if (!options.directory) throw new Error('Missing the directory for the cache');
+
+  this.directory = options.directory;
+}
+
+/**
+ * Generate the location of the file for a given response.
+ *
+ * @param {String} key The URL of the response.
+ * @returns {String} The location of the file.
+ * @api private
+ */
+Filesystem.prototype.file = function file(key) {
+  return path.join(
+    this.directory,
+    crypto.createHash('sha1').update(key).digest('hex') +'.json'
+  );
+};
+
+/**
+ * Retrieve a response from the cache. Files that cannot be read or parsed are
+ * treated as a cache miss.
+ *
+ * @param {String} key The URL of the response.
+ * @param {Function} fn The callback.
+ * @api public
+ */
+Filesystem.prototype.get = function get(key, fn) {
+  fs.readFile(this.file(key), 'utf-8', function read(err, content) {
+    if (err) return fn(err.code === 'ENOENT' ? undefined : err);
+
+    try { content = JSON.parse(content); }
+    catch (e) { return fn(e); }
+
+    fn(undefined, content);
+  });
+};
+
+/**
+ * Store a response in the cache. The file is written to a temporary location
+ * first so readers never receive a partially written response.
+ *
+ * @param {String} key The URL of the response.
+ * @param {Object} value The response.
+ * @param {Function} fn The callback.
+ * @api public
+ */
+Filesystem.prototype.set = function set(key, value, fn) {
+  var location = this.file(key)
+    , tmp = location +'.'+ process.pid +'.'+ Date.now();
+
+  fn = fn || function nope() {};
+
+  fs.mkdir(this.directory, function created(err) {
+    if (err && err.code !== 'EEXIST') return fn(err);
+
+    fs.writeFile(tmp, JSON.stringify(value), function written(err) {
+      if (err) return fn(err);
+
+      fs.rename(tmp, location, fn);
+    });
+  });
+};
+
+//
+// Expose the cache stores.
+//
+exports.Memory = Memory;
+exports.Filesystem = Filesystem;
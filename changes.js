@@ -0,0 +1,276 @@
+'use strict';
+
+var debug = require('debug')('npmjs::changes')
+  , EventEmitter = require('events').EventEmitter
+  , normalize = require('./normalize')
+  , qs = require('querystring')
+  , https = require('https')
+  , http = require('http')
+  , url = require('url');
+
+/**
+ * Follow the `_changes` feed of the registry. Every change emits a `change`
+ * event with the normalized package document. The following options are
+ * accepted:
+ *
+ * - since: Sequence number we should start following, defaults to `now`.
+ * - heartbeat: Milliseconds between the heartbeats of the registry, defaults
+ *   to 30000. We reconnect when we don't receive one within twice this time.
+ * - checkpoint: Store to persist and resume the last sequence number.
+ * - registry: URL of the CouchDB that has the feed, defaults to our registry.
+ *
+ * @constructor
+ * @param {Registry} api Reference to the wrapping registry.
+ * @param {Object} options Configuration.
+ * @api public
+ */
+function Changes(api, options) {
+  options = options || {};
+
+  var changes = this;
+
+  EventEmitter.call(this);
+
+  this.api = api;
+  this.registry = options.registry || api.api;
+  this.feed = url.resolve(this.registry, '_changes');
+  this.since = 'since' in options ? options.since : 'now';
+  this.heartbeat = 'heartbeat' in options ? options.heartbeat : 30000;
+  this.checkpoint = options.checkpoint;
+  this.key = 'changes:'+ this.feed;
+  this.mindelay = +api.mindelay || 100;
+  this.maxdelay = +api.maxdelay || 60000;
+  this.factor = +api.factor || 2;
+  this.attempt = 0;             // Reconnection attempts since the last change.
+  this.request = null;          // The active HTTP request.
+  this.timer = null;            // Heartbeat or reconnect timer.
+  this.stopped = false;         // Indication that we should stop following.
+  this.saving = false;          // Are we currently storing our checkpoint.
+  this.pending = false;         // Received a new sequence while storing.
+
+  //
+  // Start in the next tick so the listeners can be added.
+  //
+  (
+    global.setImmediate
+    ? global.setImmediate
+    : global.setTimeout
+  )(function immediate() {
+    changes.start();
+  });
+}
+
+Changes.prototype = Object.create(EventEmitter.prototype);
+Changes.prototype.constructor = Changes;
+
+/**
+ * Resume from the sequence number in our checkpoint store, if we have one, and
+ * start following the feed.
+ *
+ * @api private
+ */
+Changes.prototype.start = function start() {
+  var changes = this;
+
+  if (!this.checkpoint) return this.connect();
+
+  this.checkpoint.get(this.key, function resume(err, seq) {
+    if (err) debug('failed to read the checkpoint: %s', err.message);
+    else if (seq !== undefined && seq !== null) changes.since = seq;
+
+    changes.connect();
+  });
+};
+
+/**
+ * Connect with the continuous changes feed.
+ *
+ * @api private
+ */
+Changes.prototype.connect = function connect() {
+  if (this.stopped) return;
+
+  var uri = this.feed +'?'+ qs.stringify({
+        feed: 'continuous',
+        include_docs: true,
+        heartbeat: this.heartbeat,
+        since: this.since
+      })
+    , options = url.parse(uri)
+    , authorization = this.api.authorize(uri)
+    , changes = this
+    , closed = false
+    , buffer = ''
+    , request;
+
+  options.headers = {
+    'User-Agent': this.api.name +'/'+ this.api.version +' node/'+ process.version,
+    'Accept': 'application/json'
+  };
+
+  if (authorization) options.headers.Authorization = authorization;
+
+  /**
+   * The connection has been closed or timed out, reconnect.
+   *
+   * @param {Error} err Optional error.
+   * @api private
+   */
+  function close(err) {
+    if (closed) return;
+
+    closed = true;
+    clearTimeout(changes.timer);
+    request.abort();
+
+    changes.reconnect(err);
+  }
+
+  /**
+   * We've received data so the connection is still alive.
+   *
+   * @api private
+   */
+  function alive() {
+    clearTimeout(changes.timer);
+    changes.timer = setTimeout(function timeout() {
+      close(new Error('No heartbeat received within '+ (changes.heartbeat * 2) +'ms'));
+    }, changes.heartbeat * 2);
+  }
+
+  debug('following %s', uri);
+
+  request = this.request = ('https:' === options.protocol ? https : http).get(options, function response(res) {
+    if (200 !== res.statusCode) {
+      res.resume();
+      return close(new Error('Received a non 200 status code: '+ res.statusCode));
+    }
+
+    changes.emit('connect', changes.since);
+    res.setEncoding('utf-8');
+
+    res.on('data', function data(chunk) {
+      var lines = (buffer + chunk).split('\n');
+
+      alive();
+      buffer = lines.pop();
+
+      lines.forEach(function each(line) {
+        if (!closed) changes.parse(line);
+      });
+    });
+
+    res.on('end', function end() {
+      close();
+    });
+  });
+
+  request.on('error', close);
+  alive();
+};
+
+/**
+ * Reconnect with the feed using an exponential back off.
+ *
+ * @param {Error} err The reason we're reconnecting.
+ * @api private
+ */
+Changes.prototype.reconnect = function reconnect(err) {
+  if (this.stopped) return;
+
+  var delay = Math.min(this.maxdelay, this.mindelay * Math.pow(this.factor, this.attempt++));
+
+  debug('reconnecting in %d ms: %s', delay, err ? err.message : 'connection closed');
+  this.emit('reconnect', err, delay, this.attempt);
+
+  this.timer = setTimeout(this.connect.bind(this), delay);
+};
+
+/**
+ * Parse a line of the continuous changes feed.
+ *
+ * @param {String} line The line we've received.
+ * @api private
+ */
+Changes.prototype.parse = function parse(line) {
+  var change;
+
+  //
+  // Empty lines are the heartbeats of the feed.
+  //
+  if (!(line = line.trim())) return;
+
+  try { change = JSON.parse(line); }
+  catch (e) { return debug('failed to parse the change: %s', e.message); }
+
+  //
+  // The feed is closed, we will receive the last sequence number.
+  //
+  if ('last_seq' in change) {
+    this.since = change.last_seq;
+    return;
+  }
+
+  this.attempt = 0;
+  this.since = change.seq;
+
+  if (change.id && !/^_design\//.test(change.id)) {
+    this.emit('change', normalize.packages(change.doc || {
+      _id: change.id,
+      _deleted: !!change.deleted
+    }), change);
+  }
+
+  this.save();
+};
+
+/**
+ * Store the sequence number of the last change in our checkpoint store. We
+ * only store one sequence at a time, the latest sequence is stored once the
+ * previous one has been stored.
+ *
+ * @api private
+ */
+Changes.prototype.save = function save() {
+  if (!this.checkpoint) return;
+  if (this.saving) return this.pending = true;
+
+  var changes = this
+    , seq = this.since;
+
+  this.saving = true;
+  this.checkpoint.set(this.key, seq, function saved(err) {
+    changes.saving = false;
+
+    if (err) debug('failed to store the checkpoint: %s', err.message);
+    else changes.emit('checkpoint', seq);
+
+    if (!changes.pending) return;
+
+    changes.pending = false;
+    changes.save();
+  });
+};
+
+/**
+ * Stop following the changes feed.
+ *
+ * @returns {Changes}
+ * @api public
+ */
+Changes.prototype.stop = function stop() {
+  if (this.stopped) return this;
+
+  this.stopped = true;
+  clearTimeout(this.timer);
+
+  if (this.request) this.request.abort();
+  this.emit('end', this.since);
+
+  return this;
+};
+
+//
+// Expose the changes follower.
+//
+module.exports = Changes;
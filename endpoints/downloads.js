@@ -1,5 +1,218 @@
 'use strict';
 
+var debug = require('debug')('npmjs::downloads')
+  , thenable = require('../thenable')
+  , errors = require('../errors')
+  , semver = require('../semver')
+  , Assign = require('assign')
+  , spec = require('../spec');
+
+/**
+ * The maximum amount of packages that can be requested in one bulk request.
+ *
+ * @type {Number}
+ * @private
+ */
+var limit = 128;
+
+/**
+ * The maximum amount of days we request in one range request. The stats server
+ * doesn't allow ranges longer than 18 months.
+ *
+ * @type {Number}
+ * @private
+ */
+var span = 540;
+
+/**
+ * The amount of milliseconds in a day.
+ *
+ * @type {Number}
+ * @private
+ */
+var day = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a date as `YYYY-MM-DD` in UTC which is used by the stats server.
+ *
+ * @param {Date} date The date.
+ * @returns {String} The formatted date.
+ * @api private
+ */
+function format(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Merge the daily downloads of multiple ranges in to one series which has an
+ * entry for every day between the start and end date. Days without downloads
+ * are set to zero.
+ *
+ * @param {Array} ranges The download stats of the ranges.
+ * @param {String} pkg Optional name of the package.
+ * @param {Date} start The first day of the series.
+ * @param {Date} end The last day of the series.
+ * @returns {Object} The download stats.
+ * @api private
+ */
+function stitch(ranges, pkg, start, end) {
+  var counts = {}
+    , result = { start: format(start), end: format(end), downloads: [] }
+    , time, date;
+
+  ranges.forEach(function each(range) {
+    ((range || {}).downloads || []).forEach(function each(stats) {
+      counts[stats.day] = (counts[stats.day] || 0) + (stats.downloads || 0);
+    });
+  });
+
+  for (time = start.getTime(); time <= end.getTime(); time += day) {
+    date = format(new Date(time));
+    result.downloads.push({ day: date, downloads: counts[date] || 0 });
+  }
+
+  if (pkg) result.package = pkg;
+  return result;
+}
+
+/**
+ * The intervals in which we can roll up the daily downloads, they return the
+ * name of the bucket that a given day belongs to. Weeks start on Monday and are
+ * named after their first day.
+ *
+ * @type {Object}
+ * @private
+ */
+var intervals = {
+  week: function week(date) {
+    date = new Date(date);
+    return format(new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * day));
+  },
+
+  month: function month(date) {
+    return date.slice(0, 7);
+  },
+
+  year: function year(date) {
+    return date.slice(0, 4);
+  }
+};
+
+/**
+ * Roll the daily downloads up in to weekly, monthly or yearly buckets.
+ *
+ * @param {Array} series The daily downloads.
+ * @param {String} interval Name of the interval.
+ * @returns {Array} The buckets.
+ * @api private
+ */
+function rollup(series, interval) {
+  var buckets = [];
+
+  (series || []).forEach(function each(stats) {
+    var name = intervals[interval](stats.day)
+      , bucket = buckets[buckets.length - 1];
+
+    if (!bucket || bucket.period !== name) {
+      bucket = { period: name, start: stats.day, end: stats.day, downloads: 0 };
+      buckets.push(bucket);
+    }
+
+    bucket.end = stats.day;
+    bucket.downloads += stats.downloads || 0;
+  });
+
+  return buckets;
+}
+
+/**
+ * Add the moving average of the given amount of days to the daily downloads.
+ * The first days use the average of the days that are available.
+ *
+ * @param {Array} series The daily downloads.
+ * @param {Number} window The amount of days of the average.
+ * @returns {Array} The daily downloads with an `average`.
+ * @api private
+ */
+function average(series, window) {
+  var sum = 0;
+
+  series = series || [];
+
+  return series.map(function map(stats, index) {
+    sum += stats.downloads || 0;
+    if (index >= window) sum -= series[index - window].downloads || 0;
+
+    return {
+      day: stats.day,
+      downloads: stats.downloads || 0,
+      average: sum / Math.min(index + 1, window)
+    };
+  });
+}
+
+/**
+ * Add the growth compared to the previous bucket. The growth is a fraction, so
+ * `0.5` means 50% more downloads. It's `null` when there is nothing to compare
+ * with.
+ *
+ * @param {Array} buckets The rolled up downloads.
+ * @returns {Array} The buckets with their `growth`.
+ * @api private
+ */
+function growth(buckets) {
+  return buckets.map(function map(bucket, index) {
+    var previous = buckets[index - 1];
+
+    bucket.growth = previous && previous.downloads
+      ? (bucket.downloads - previous.downloads) / previous.downloads
+      : null;
+
+    return bucket;
+  });
+}
+
+/**
+ * Apply a transformation to the downloads of a single package, or every
+ * package when we've requested multiple packages.
+ *
+ * @param {String|Array} pkg The requested package or packages.
+ * @param {Object} data The received download stats.
+ * @param {Function} fn Receives the daily downloads.
+ * @returns {Array|Object} The result of the transformation.
+ * @api private
+ */
+function transform(pkg, data, fn) {
+  if (!Array.isArray(pkg)) return fn(data.downloads);
+
+  return Object.keys(data).reduce(function reduce(result, name) {
+    result[name] = fn(data[name].downloads);
+    return result;
+  }, {});
+}
+
+/**
+ * There is this annoying edge-case in the npm downloads API where they do not
+ * return the correct information for newly published packages. These newly
+ * published packages are missing the `package` and `downloads` field. We've
+ * normalized to their sensible defaults so we can just ignore the fact that
+ * they are unable to correctly estimate the download count for a new module.
+ *
+ * @param {Object} data The download stats.
+ * @param {String} pkg The name of the package.
+ * @param {Mixed} downloads The default downloads.
+ * @returns {Object} The download stats.
+ * @api private
+ */
+function defaults(data, pkg, downloads) {
+  data = data || {};
+
+  data.package = data.package || pkg;
+  data.downloads = data.downloads || (Array.isArray(downloads) ? [] : downloads);
+
+  return data;
+}
+
 /**
  * Download download stats from the npm server.
  *
@@ -17,7 +230,7 @@ function Downloads(api) {
  * been supplied the total of all packages will be returned.
  *
  * @param {String} period The period you want to select.
- * @param {String} pkg Optional name of the package.
+ * @param {String|Array} pkg Optional name of the package, or packages.
  * @param {Function} fn Completion callback.
  * @returns {Assign}
  * @api public
@@ -28,29 +241,24 @@ Downloads.prototype.totals = function point(period, pkg, fn) {
     pkg = null;
   }
 
+  if (Array.isArray(pkg)) return this.bulk('point', period, pkg, 0, fn);
+
   return this.send(['downloads', 'point', period, pkg], {
-    api: this.api.statservice
+    api: this.api.statservice,
+    package: pkg
   }, fn).map(function map(data) {
-    //
-    // There is this annoying edge-case in the npm downloads API where they do
-    // not return the correct information for newly published packages. These
-    // newly published packages are missing the `package` and `downloads` field.
-    // We've normalized to their sensible defaults so we can just ignore the
-    // fact that they are unable to correctly estimate the download count for
-    // a new module.
-    //
-    data.package = data.package || pkg;
-    data.downloads = data.downloads || 0;
-
-    return data;
+    return defaults(data, pkg, 0);
   });
 };
 
 /**
- * Get the download statics for range of days.
+ * Get the download statics for range of days. Instead of a period you can also
+ * supply a `Date` or an object with a `start` and `end` date, these ranges can
+ * be longer than the 18 months that the stats server allows and days without
+ * downloads are set to zero.
  *
- * @param {String} period The period you want to select.
- * @param {String} pkg Optional name of the package.
+ * @param {String|Date|Object} period The period you want to select.
+ * @param {String|Array} pkg Optional name of the package, or packages.
  * @param {Function} fn Completion callback.
  * @returns {Assign}
  * @api public
@@ -61,11 +269,395 @@ Downloads.prototype.range = function ranged(period, pkg, fn) {
     pkg = null;
   }
 
+  if ('string' !== typeof period) return this.history(period, pkg, fn);
+  if (Array.isArray(pkg)) return this.bulk('range', period, pkg, [], fn);
+
   return this.send(['downloads', 'range', period, pkg], {
-    api: this.api.statservice
+    api: this.api.statservice,
+    package: pkg
   }, fn);
 };
 
+/**
+ * Get the daily download stats between two dates. The range is split in to
+ * multiple requests when it's longer than the stats server allows and the
+ * results are stitched back together.
+ *
+ * @param {Date|Object} period A `Date` or an object with a `start` and `end`.
+ * @param {String|Array} pkg Optional name of the package, or packages.
+ * @param {Function} fn Completion callback.
+ * @returns {Assign}
+ * @api private
+ */
+Downloads.prototype.history = function history(period, pkg, fn) {
+  var start = period instanceof Date ? period : (period || {}).start
+    , end = period instanceof Date ? period : (period || {}).end || new Date()
+    , assign = new Assign(this.api, fn)
+    , downloader = this
+    , failed = false
+    , ranges = []
+    , received = 0
+    , date;
+
+  start = new Date(start);
+  end = new Date(end);
+
+  if (isNaN(start.getTime())) return this.api.bail(fn, new errors.InvalidInput('Invalid start date'));
+  if (isNaN(end.getTime())) return this.api.bail(fn, new errors.InvalidInput('Invalid end date'));
+
+  //
+  // The stats server only knows about whole days in UTC.
+  //
+  start = new Date(format(start));
+  end = new Date(format(end));
+
+  if (start > end) return this.api.bail(fn, new errors.InvalidInput('The start date should be before the end date'));
+
+  for (date = start.getTime(); date <= end.getTime(); date += span * day) {
+    ranges.push(
+      format(new Date(date)) +':'+
+      format(new Date(Math.min(date + (span - 1) * day, end.getTime())))
+    );
+  }
+
+  debug('requesting %s to %s in %d requests', format(start), format(end), ranges.length);
+
+  ranges.forEach(function each(range, index) {
+    downloader.range(range, pkg, function response(err, data) {
+      if (failed) return;
+      if (err) {
+        failed = true;
+        return assign.destroy(err);
+      }
+
+      ranges[index] = Array.isArray(data) ? data[0] : data;
+      if (++received !== ranges.length) return;
+
+      if (!Array.isArray(pkg)) {
+        return assign.write(stitch(ranges, pkg, start, end), { end: true });
+      }
+
+      assign.write(Object.keys(ranges[0]).reduce(function reduce(result, name) {
+        result[name] = stitch(ranges.map(function map(stats) {
+          return stats[name];
+        }), name, start, end);
+
+        return result;
+      }, {}), { end: true });
+    });
+  });
+
+  return assign;
+};
+
+/**
+ * Retrieve the download stats of multiple packages. Unscoped packages are
+ * requested in batches as the stats server supports comma separated names, but
+ * scoped packages need to be requested individually. The results are merged in
+ * to one object keyed by the name of the package.
+ *
+ * @param {String} type The type of stats, `point` or `range`.
+ * @param {String} period The period you want to select.
+ * @param {Array} pkgs The names of the packages.
+ * @param {Mixed} downloads The default downloads of new packages.
+ * @param {Function} fn Completion callback.
+ * @returns {Assign}
+ * @api private
+ */
+Downloads.prototype.bulk = function bulk(type, period, pkgs, downloads, fn) {
+  var assign = new Assign(this.api, fn)
+    , unscoped = []
+    , batches = []
+    , received = {}
+    , failed = false
+    , downloader = this;
+
+  pkgs = pkgs.filter(function unique(pkg, index) {
+    return pkgs.indexOf(pkg) === index;
+  });
+
+  /**
+   * Write the merged stats in the order of the requested packages.
+   *
+   * @api private
+   */
+  function done() {
+    assign.write(pkgs.reduce(function reduce(result, pkg) {
+      result[pkg] = received[pkg];
+      return result;
+    }, {}), { end: true });
+  }
+
+  pkgs.forEach(function each(pkg) {
+    if ('@' === pkg.charAt(0)) batches.push([pkg]);
+    else unscoped.push(pkg);
+  });
+
+  for (var i = 0; i < unscoped.length; i += limit) {
+    batches.push(unscoped.slice(i, i + limit));
+  }
+
+  debug('requesting %s stats of %d packages in %d requests', type, pkgs.length, batches.length);
+
+  if (!batches.length) {
+    (
+      global.setImmediate
+      ? global.setImmediate
+      : global.setTimeout
+    )(done);
+  }
+
+  batches.forEach(function each(batch) {
+    downloader.send(['downloads', type, period, batch.join(',')], {
+      api: downloader.api.statservice
+    }, function response(err, data) {
+      if (failed) return;
+
+      //
+      // Packages that are not known by the stats server are assumed to be
+      // newly published packages without any downloads.
+      //
+      if (err && 404 !== err.statusCode) {
+        failed = true;
+        return assign.destroy(err);
+      }
+
+      data = Array.isArray(data) ? data[0] : data;
+
+      //
+      // The stats server only returns an object keyed by name when we request
+      // multiple packages at once.
+      //
+      if (1 === batch.length) {
+        received[batch[0]] = defaults(err ? null : data, batch[0], downloads);
+      } else batch.forEach(function each(pkg) {
+        received[pkg] = defaults(err ? null : (data || {})[pkg], pkg, downloads);
+      });
+
+      if (Object.keys(received).length === pkgs.length) done();
+    });
+  });
+
+  return assign;
+};
+
+/**
+ * Roll the daily downloads up in to weekly, monthly or yearly buckets. Every
+ * bucket has a `period` name, the `start` and `end` day and the `downloads`.
+ * It accepts the same periods as `Downloads#range`.
+ *
+ * @param {String|Date|Object} period The period you want to select.
+ * @param {String|Array} pkg Name of the package, or packages.
+ * @param {String} interval The interval, `week`, `month` or `year`.
+ * @param {Function} fn Completion callback.
+ * @api public
+ */
+Downloads.prototype.rollup = function rolled(period, pkg, interval, fn) {
+  if ('function' === typeof interval) {
+    fn = interval;
+    interval = null;
+  }
+
+  if (!interval) return this.api.bail(fn, new errors.InvalidInput('Missing interval'));
+  if (!(interval in intervals)) return this.api.bail(fn, new errors.InvalidInput('Invalid interval '+ interval));
+
+  return this.range(period, pkg, function ranged(err, data) {
+    if (err) return fn(err);
+
+    fn(undefined, transform(pkg, Array.isArray(data) ? data[0] : data, function map(series) {
+      return rollup(series, interval);
+    }));
+  });
+};
+
+/**
+ * Calculate the moving average of the daily downloads. It accepts the same
+ * periods as `Downloads#range`.
+ *
+ * @param {String|Date|Object} period The period you want to select.
+ * @param {String|Array} pkg Name of the package, or packages.
+ * @param {Number} window The amount of days of the average, defaults to 7.
+ * @param {Function} fn Completion callback.
+ * @api public
+ */
+Downloads.prototype.average = function averaged(period, pkg, window, fn) {
+  if ('function' === typeof window) {
+    fn = window;
+    window = null;
+  }
+
+  window = +(window || 7);
+  if (!(window >= 1)) return this.api.bail(fn, new errors.InvalidInput('Invalid window, it should be at least 1 day'));
+
+  return this.range(period, pkg, function ranged(err, data) {
+    if (err) return fn(err);
+
+    fn(undefined, transform(pkg, Array.isArray(data) ? data[0] : data, function map(series) {
+      return average(series, window);
+    }));
+  });
+};
+
+/**
+ * Calculate the week over week or month over month growth of the downloads.
+ * Every bucket of `Downloads#rollup` receives the `growth` compared to the
+ * previous bucket.
+ *
+ * @param {String|Date|Object} period The period you want to select.
+ * @param {String|Array} pkg Name of the package, or packages.
+ * @param {String} interval The interval, `week` or `month`, defaults to week.
+ * @param {Function} fn Completion callback.
+ * @api public
+ */
+Downloads.prototype.growth = function grown(period, pkg, interval, fn) {
+  if ('function' === typeof interval) {
+    fn = interval;
+    interval = null;
+  }
+
+  interval = interval || 'week';
+
+  return this.rollup(period, pkg, interval, function rolled(err, buckets) {
+    if (err) return fn(err);
+
+    fn(undefined, Array.isArray(pkg)
+      ? Object.keys(buckets).reduce(function reduce(result, name) {
+          result[name] = growth(buckets[name]);
+          return result;
+        }, {})
+      : growth(buckets)
+    );
+  });
+};
+
+/**
+ * Compare the downloads of multiple packages over the same period. Every
+ * package receives the `total` and daily `average` downloads, the `peak` day,
+ * their `share` of the downloads of all packages and their `rank`.
+ *
+ * @param {String|Date|Object} period The period you want to select.
+ * @param {Array} pkgs The names of the packages.
+ * @param {Function} fn Completion callback.
+ * @api public
+ */
+Downloads.prototype.compare = function compare(period, pkgs, fn) {
+  if (!Array.isArray(pkgs) || !pkgs.length) {
+    return this.api.bail(fn, new errors.InvalidInput('Missing the packages that should be compared'));
+  }
+
+  return this.range(period, pkgs, function ranged(err, data) {
+    if (err) return fn(err);
+
+    var total = 0
+      , result = transform(pkgs, Array.isArray(data) ? data[0] : data, function map(series) {
+          var stats = series.reduce(function reduce(memo, stats) {
+            memo.total += stats.downloads || 0;
+            if (!memo.peak || stats.downloads > memo.peak.downloads) memo.peak = stats;
+
+            return memo;
+          }, { total: 0, average: 0, peak: null, share: 0, rank: 0 });
+
+          if (series.length) stats.average = stats.total / series.length;
+          total += stats.total;
+
+          return stats;
+        });
+
+    Object.keys(result).sort(function sort(a, b) {
+      return result[b].total - result[a].total;
+    }).forEach(function each(name, index) {
+      if (total) result[name].share = result[name].total / total;
+      result[name].rank = index + 1;
+    });
+
+    fn(undefined, result);
+  });
+};
+
+/**
+ * Get the downloads of every version of a package in the last week. The
+ * downloads are merged with the releases of the package so every version has
+ * its publish `date`, the dist-`tags` that point to it and the `deprecated`
+ * message. The versions are sorted by semver, oldest first.
+ *
+ * @param {String} pkg The name of the package.
+ * @param {Function} fn Completion callback.
+ * @returns {Assign}
+ * @api public
+ */
+Downloads.prototype.versions = function versions(pkg, fn) {
+  pkg = spec.parse(pkg).name;
+
+  var assign = new Assign(this.api, fn)
+    , received = {}
+    , failed = false;
+
+  /**
+   * Merge the downloads and releases once we've received both.
+   *
+   * @param {String} type The type of data we've received.
+   * @param {Error} err Optional error.
+   * @param {Object} data The data we've received.
+   * @api private
+   */
+  function merge(type, err, data) {
+    if (failed) return;
+    if (err) {
+      failed = true;
+      return assign.destroy(err);
+    }
+
+    received[type] = Array.isArray(data) ? data[0] : data;
+    if (!received.downloads || !received.releases) return;
+
+    var downloads = received.downloads.downloads || {}
+      , releases = received.releases
+      , result = {};
+
+    Object.keys(releases).concat(Object.keys(downloads)).forEach(function each(key) {
+      var release = releases[key] || {}
+        , version = semver.valid(key, true) ? key : release.version;
+
+      if (!version) return;
+      if (!(version in result)) {
+        release = releases[version] || {};
+
+        result[version] = {
+          version: version,
+          date: release.date ? new Date(release.date) : undefined,
+          tags: [],
+          downloads: downloads[version] || 0,
+          deprecated: release.deprecated
+        };
+      }
+
+      if (key !== version) result[version].tags.push(key);
+    });
+
+    assign.write(Object.keys(result).sort(function sort(a, b) {
+      return semver.compare(a, b, true);
+    }).map(function map(version) {
+      return result[version];
+    }), { end: true });
+  }
+
+  this.send(['versions', spec.encode(pkg), 'last-week'], {
+    api: this.api.statservice,
+    package: pkg
+  }, merge.bind(null, 'downloads'));
+
+  this.api.packages.releases(pkg, merge.bind(null, 'releases'));
+
+  return assign;
+};
+
+//
+// Return a thenable when the methods are called without a callback.
+//
+thenable(Downloads, [
+  'totals', 'range', 'rollup', 'average', 'growth', 'compare'
+], ['versions']);
+
 //
 // Exposes the Downloads API.
 //
@@ -0,0 +1,375 @@
+'use strict';
+
+var debug = require('debug')('npmjs::orgs')
+  , normalize = require('../normalize')
+  , thenable = require('../thenable')
+  , errors = require('../errors')
+  , spec = require('../spec');
+
+/**
+ * The roles that members of an organization can have.
+ *
+ * @type {Array}
+ * @private
+ */
+var roles = ['developer', 'admin', 'owner'];
+
+/**
+ * The permissions that teams can have on a package, the registry abbreviates
+ * them when they are listed.
+ *
+ * @type {Object}
+ * @private
+ */
+var permissions = { read: 'read-only', write: 'read-write' };
+
+/**
+ * Parse the name of a team, which is the scope of the organization and the
+ * name of the team separated by a colon, like `@ourco:developers`.
+ *
+ * @param {String} name The name of the team.
+ * @returns {Object|Undefined} The `scope` and `team`.
+ * @api private
+ */
+function parse(name) {
+  var parts = (name || '').toString().trim().replace(/^@/, '').split(':');
+
+  if (2 !== parts.length || !parts[0] || !parts[1]) return;
+  return { scope: parts[0], team: parts[1] };
+}
+
+/**
+ * Manage the members, teams and package access of npm organizations.
+ *
+ * @constructor
+ * @param {Registry} api Reference to the wrapping registry.
+ * @api private
+ */
+function Orgs(api) {
+  this.api = api;
+  this.send = api.send.bind(api);
+}
+
+/**
+ * Find the registry of an organization, organizations can use the registry of
+ * their scope.
+ *
+ * @param {String} scope The scope of the organization.
+ * @returns {String} URL of the registry.
+ * @api private
+ */
+Orgs.prototype.registry = function registry(scope) {
+  return this.api.scopes['@'+ scope] || this.api.api;
+};
+
+/**
+ * List the members of an organization with their `role`.
+ *
+ * @param {String} org The name of the organization.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api public
+ */
+Orgs.prototype.members = function members(org, fn) {
+  org = (org || '').toString().replace(/^@/, '');
+
+  return this.send(['-', 'org', encodeURIComponent(org), 'user'], {
+    api: this.registry(org)
+  }, fn).emits(function emit(data, add) {
+    Object.keys(data || {}).sort().forEach(function each(name) {
+      add(normalize.users({ name: name, role: data[name] }));
+    });
+
+    return false;
+  });
+};
+
+/**
+ * Add a user to an organization, or change the role of a member. The role
+ * defaults to `developer`.
+ *
+ * @param {String} org The name of the organization.
+ * @param {String} user The name of the user.
+ * @param {String} role Optional role, `developer`, `admin` or `owner`.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api public
+ */
+Orgs.prototype.add = function add(org, user, role, fn) {
+  if ('function' === typeof role) {
+    fn = role;
+    role = null;
+  }
+
+  org = (org || '').toString().replace(/^@/, '');
+  role = role || 'developer';
+
+  if (!user) return this.api.bail(fn, new errors.InvalidInput('Missing user'));
+  if (!~roles.indexOf(role)) return this.api.bail(fn, new errors.InvalidInput('Invalid role '+ role));
+
+  debug('adding %s to %s as %s', user, org, role);
+
+  return this.send(['-', 'org', encodeURIComponent(org), 'user'], {
+    method: 'PUT',
+    api: this.registry(org),
+    json: { user: user, role: role }
+  }, fn).map(function map(data) {
+    return normalize.users({ name: data.user || user, role: data.role || role });
+  });
+};
+
+/**
+ * Remove a user from an organization.
+ *
+ * @param {String} org The name of the organization.
+ * @param {String} user The name of the user.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api public
+ */
+Orgs.prototype.remove = function remove(org, user, fn) {
+  org = (org || '').toString().replace(/^@/, '');
+
+  if (!user) return this.api.bail(fn, new errors.InvalidInput('Missing user'));
+
+  debug('removing %s from %s', user, org);
+
+  return this.send(['-', 'org', encodeURIComponent(org), 'user'], {
+    method: 'DELETE',
+    api: this.registry(org),
+    json: { user: user }
+  }, fn);
+};
+
+/**
+ * List the teams of an organization.
+ *
+ * @param {String} org The name of the organization.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api public
+ */
+Orgs.prototype.teams = function teams(org, fn) {
+  org = (org || '').toString().replace(/^@/, '');
+
+  return this.send(['-', 'org', encodeURIComponent(org), 'team'], {
+    api: this.registry(org)
+  }, fn);
+};
+
+/**
+ * Create a new team in an organization.
+ *
+ * @param {String} name The name of the team, like `@ourco:developers`.
+ * @param {String} description Optional description of the team.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api public
+ */
+Orgs.prototype.create = function create(name, description, fn) {
+  if ('function' === typeof description) {
+    fn = description;
+    description = null;
+  }
+
+  var team = parse(name);
+
+  if (!team) return this.api.bail(fn, new errors.InvalidInput('Invalid team name '+ name));
+
+  debug('creating team %s in %s', team.team, team.scope);
+
+  return this.send(['-', 'org', encodeURIComponent(team.scope), 'team'], {
+    method: 'PUT',
+    api: this.registry(team.scope),
+    json: { name: team.team, description: description || undefined }
+  }, fn);
+};
+
+/**
+ * Delete a team of an organization.
+ *
+ * @param {String} name The name of the team, like `@ourco:developers`.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api public
+ */
+Orgs.prototype.destroy = function destroy(name, fn) {
+  var team = parse(name);
+
+  if (!team) return this.api.bail(fn, new errors.InvalidInput('Invalid team name '+ name));
+
+  debug('deleting team %s of %s', team.team, team.scope);
+
+  return this.send(['-', 'team', encodeURIComponent(team.scope), encodeURIComponent(team.team)], {
+    method: 'DELETE',
+    api: this.registry(team.scope)
+  }, fn);
+};
+
+/**
+ * List the members of a team.
+ *
+ * @param {String} name The name of the team, like `@ourco:developers`.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api public
+ */
+Orgs.prototype.team = function team(name, fn) {
+  var parsed = parse(name);
+
+  if (!parsed) return this.api.bail(fn, new errors.InvalidInput('Invalid team name '+ name));
+
+  return this.send(['-', 'team', encodeURIComponent(parsed.scope), encodeURIComponent(parsed.team), 'user'], {
+    api: this.registry(parsed.scope)
+  }, fn).map(function map(user) {
+    return normalize.users({ name: user });
+  });
+};
+
+/**
+ * Add a member of the organization to a team.
+ *
+ * @param {String} name The name of the team, like `@ourco:developers`.
+ * @param {String} user The name of the user.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api public
+ */
+Orgs.prototype.join = function join(name, user, fn) {
+  var team = parse(name);
+
+  if (!team) return this.api.bail(fn, new errors.InvalidInput('Invalid team name '+ name));
+  if (!user) return this.api.bail(fn, new errors.InvalidInput('Missing user'));
+
+  debug('adding %s to team %s', user, name);
+
+  return this.send(['-', 'team', encodeURIComponent(team.scope), encodeURIComponent(team.team), 'user'], {
+    method: 'PUT',
+    api: this.registry(team.scope),
+    json: { user: user }
+  }, fn);
+};
+
+/**
+ * Remove a member from a team.
+ *
+ * @param {String} name The name of the team, like `@ourco:developers`.
+ * @param {String} user The name of the user.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api public
+ */
+Orgs.prototype.leave = function leave(name, user, fn) {
+  var team = parse(name);
+
+  if (!team) return this.api.bail(fn, new errors.InvalidInput('Invalid team name '+ name));
+  if (!user) return this.api.bail(fn, new errors.InvalidInput('Missing user'));
+
+  debug('removing %s from team %s', user, name);
+
+  return this.send(['-', 'team', encodeURIComponent(team.scope), encodeURIComponent(team.team), 'user'], {
+    method: 'DELETE',
+    api: this.registry(team.scope),
+    json: { user: user }
+  }, fn);
+};
+
+/**
+ * List the packages that a team has access to with their `permissions`.
+ *
+ * @param {String} name The name of the team, like `@ourco:developers`.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api public
+ */
+Orgs.prototype.packages = function packages(name, fn) {
+  var team = parse(name);
+
+  if (!team) return this.api.bail(fn, new errors.InvalidInput('Invalid team name '+ name));
+
+  return this.send(['-', 'team', encodeURIComponent(team.scope), encodeURIComponent(team.team), 'package'], {
+    api: this.registry(team.scope)
+  }, fn).emits(function emit(data, add) {
+    Object.keys(data || {}).sort().forEach(function each(pkg) {
+      add({ name: pkg, permissions: permissions[data[pkg]] || data[pkg] });
+    });
+
+    return false;
+  });
+};
+
+/**
+ * Grant a team access to a package. The permissions default to `read-only`.
+ *
+ * @param {String} name The name of the team, like `@ourco:developers`.
+ * @param {String} pkg The name of the package.
+ * @param {String} access Optional permissions, `read-only` or `read-write`.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api public
+ */
+Orgs.prototype.grant = function grant(name, pkg, access, fn) {
+  if ('function' === typeof access) {
+    fn = access;
+    access = null;
+  }
+
+  var team = parse(name);
+
+  access = access || 'read-only';
+  pkg = spec.parse(pkg || '').name;
+
+  if (!team) return this.api.bail(fn, new errors.InvalidInput('Invalid team name '+ name));
+  if (!pkg) return this.api.bail(fn, new errors.InvalidInput('Missing package'));
+  if ('read-only' !== access && 'read-write' !== access) {
+    return this.api.bail(fn, new errors.InvalidInput('Invalid permissions '+ access, { package: pkg }));
+  }
+
+  debug('granting %s %s access to %s', name, access, pkg);
+
+  return this.send(['-', 'team', encodeURIComponent(team.scope), encodeURIComponent(team.team), 'package'], {
+    method: 'PUT',
+    api: this.registry(team.scope),
+    package: pkg,
+    json: { package: pkg, permissions: access }
+  }, fn);
+};
+
+/**
+ * Revoke the access of a team to a package.
+ *
+ * @param {String} name The name of the team, like `@ourco:developers`.
+ * @param {String} pkg The name of the package.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api public
+ */
+Orgs.prototype.revoke = function revoke(name, pkg, fn) {
+  var team = parse(name);
+
+  pkg = spec.parse(pkg || '').name;
+
+  if (!team) return this.api.bail(fn, new errors.InvalidInput('Invalid team name '+ name));
+  if (!pkg) return this.api.bail(fn, new errors.InvalidInput('Missing package'));
+
+  debug('revoking the access of %s to %s', name, pkg);
+
+  return this.send(['-', 'team', encodeURIComponent(team.scope), encodeURIComponent(team.team), 'package'], {
+    method: 'DELETE',
+    api: this.registry(team.scope),
+    package: pkg,
+    json: { package: pkg }
+  }, fn);
+};
+
+//
+// Return a thenable when the methods are called without a callback.
+//
+thenable(Orgs, [
+  'add', 'remove', 'create', 'destroy', 'join', 'leave', 'grant', 'revoke'
+], ['members', 'teams', 'team', 'packages']);
+
+//
+// Expose the Orgs API.
+//
+module.exports = Orgs;
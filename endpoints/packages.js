@@ -2,8 +2,289 @@
 
 var debug = require('debug')('npmjs::packages')
   , normalize = require('../normalize')
+  , PassThrough = require('stream').PassThrough
+  , errors = require('../errors')
+  , audit = require('../audit')
+  , verify = require('../verify')
+  , crypto = require('crypto')
+  , https = require('https')
+  , http = require('http')
   , licenses = require('licenses')
-  , semver = require('../semver');
+  , lockfile = require('../lockfile')
+  , semver = require('../semver')
+  , thenable = require('../thenable')
+  , spec = require('../spec')
+  , url = require('url');
+
+/**
+ * The Accept header for the abbreviated install metadata of a package.
+ *
+ * @type {String}
+ * @private
+ */
+var abbreviated = 'application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8';
+
+/**
+ * The permissions that collaborators can have on a package, the registry
+ * abbreviates them unless the `cli` format is requested.
+ *
+ * @type {Object}
+ * @private
+ */
+var permissions = { read: 'read-only', write: 'read-write' };
+
+/**
+ * Download the given URL. Redirects are followed and the authorization header
+ * of the registry is added when we have credentials for it.
+ *
+ * @param {Registry} api Reference to the wrapping registry.
+ * @param {String} uri The URL we should download.
+ * @param {Function} fn Receives the response.
+ * @param {Number} redirects The amount of redirects we've followed.
+ * @api private
+ */
+function download(api, uri, fn, redirects) {
+  var options = url.parse(uri)
+    , authorization = api.authorize(uri);
+
+  redirects = redirects || 0;
+  options.headers = { 'User-Agent': api.name +'/'+ api.version +' node/'+ process.version };
+  if (authorization) options.headers.Authorization = authorization;
+
+  ('https:' === options.protocol ? https : http).get(options, function response(res) {
+    var err;
+
+    if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects < 5) {
+      res.resume();
+      return download(api, url.resolve(uri, res.headers.location), fn, redirects + 1);
+    }
+
+    if (200 !== res.statusCode) {
+      res.resume();
+
+      err = new Error('Received a non 200 status code: '+ res.statusCode);
+      err.statusCode = res.statusCode;
+      err.url = uri;
+
+      return fn(err);
+    }
+
+    fn(undefined, res);
+  }).on('error', fn);
+}
+
+/**
+ * Find the version that satisfies the range from an object of versions, which
+ * can also contain tags.
+ *
+ * @param {Object} versions The versions and tags of a package.
+ * @param {String} range The semver range or tag.
+ * @returns {String|Undefined} The version or tag that satisfies the range.
+ * @api private
+ */
+function satisfying(versions, range) {
+  if (range in versions) return range;
+  return semver.maxSatisfying(Object.keys(versions), range);
+}
+
+/**
+ * Find the dependency cycles in a graph of releases.
+ *
+ * @param {Object} releases The releases, keyed by `name@version`.
+ * @param {String} root The release we should start with.
+ * @returns {Array} The cycles, every cycle is an array of releases.
+ * @api private
+ */
+function cycles(releases, root) {
+  var visited = Object.create(null)
+    , stack = []
+    , found = [];
+
+  (function walk(key) {
+    var release = releases[key];
+
+    if (~stack.indexOf(key)) return found.push(stack.slice(stack.indexOf(key)).concat(key));
+    if (!release || visited[key]) return;
+
+    visited[key] = true;
+    stack.push(key);
+
+    ['dependencies', 'optionalDependencies', 'peerDependencies', 'devDependencies'].forEach(function each(type) {
+      Object.keys(release[type]).forEach(function each(name) {
+        if (release[type][name]) walk(release[type][name]);
+      });
+    });
+
+    stack.pop();
+  }(root));
+
+  return found;
+}
+
+/**
+ * Get the public keys that the registry uses to sign releases. The keys are
+ * only requested once for every registry. They are never requested from our
+ * mirrors, as they would otherwise supply both the signatures and the keys
+ * that verify them.
+ *
+ * @param {Packages} packages Reference to the packages endpoint.
+ * @param {String} registry The URL of the registry.
+ * @param {Function} fn Receives the error or keys.
+ * @api private
+ */
+function keychain(packages, registry, fn) {
+  if (registry in packages.keys) return fn(undefined, packages.keys[registry]);
+
+  packages.send('-/npm/v1/keys', {
+    api: registry,
+    mirrors: false
+  }, function found(err, data) {
+    data = Array.isArray(data) ? data[0] : data;
+
+    if (err) {
+      debug('unable to retrieve the signing keys of %s: %s', registry, err.message);
+      return fn(err);
+    }
+
+    fn(undefined, packages.keys[registry] = (data && data.keys) || []);
+  });
+}
+
+/**
+ * Verify the registry signatures and the provenance attestations of the given
+ * versions of a package document. Every release receives a `verified` object
+ * with the result.
+ *
+ * @param {Packages} packages Reference to the packages endpoint.
+ * @param {Object} data The package document.
+ * @param {Array} versions The versions we should verify.
+ * @param {Function} fn Completion callback.
+ * @api private
+ */
+function verification(packages, data, versions, fn) {
+  var registry = packages.api.registry(data.name)
+    , time = data.time || {};
+
+  //
+  // The abbreviated metadata doesn't have the publication dates that we need
+  // to check if the keys were valid when the releases were published, so they
+  // are taken from the full document.
+  //
+  if (data.abbreviated) return packages.get(data.name, function full(err, doc) {
+    doc = Array.isArray(doc) ? doc[0] : doc;
+
+    verification(packages, {
+      name: data.name,
+      versions: data.versions,
+      time: !err && doc && doc.time
+    }, versions, fn);
+  });
+
+  keychain(packages, registry, function found(err, keys) {
+    var queue = versions.slice()
+      , pending = versions.length
+      , active = 0;
+
+    //
+    // Without the keys of the registry nothing can be verified.
+    //
+    if (err) versions.forEach(function each(version) {
+      data.versions[version].verified = {
+        signature: false,
+        provenance: false,
+        attestations: [],
+        reason: 'Unable to retrieve the signing keys of '+ registry
+      };
+    });
+
+    if (err || !pending) return fn();
+
+    /**
+     * Verify a single release, the attestations are only requested when the
+     * release has them. Like the keys, they're only requested from the
+     * registry of the package.
+     *
+     * @param {Object} release The release we should verify.
+     * @param {Function} done Completion callback.
+     * @api private
+     */
+    function check(release, done) {
+      var signature = verify.signatures(release, keys, time[release.version])
+        , attestations = (release.dist || {}).attestations;
+
+      release.verified = {
+        signature: signature.verified,
+        keyid: signature.keyid,
+        provenance: false,
+        attestations: []
+      };
+
+      if (signature.reason) release.verified.reason = signature.reason;
+      if (!attestations || !attestations.url) return done();
+
+      var base = url.parse(registry).pathname || '/'
+        , pathname = url.parse(attestations.url).pathname || '';
+
+      if (pathname.indexOf(base)) {
+        release.verified.reason = 'The attestations of '+ release.name +'@'+ release.version +' are not part of '+ registry;
+        return done();
+      }
+
+      packages.send(pathname.slice(base.length), {
+        api: registry,
+        mirrors: false,
+        package: release.name
+      }, function attested(err, result) {
+        result = Array.isArray(result) ? result[0] : result;
+
+        if (err) {
+          debug('unable to retrieve the attestations of %s@%s: %s', release.name, release.version, err.message);
+          release.verified.reason = 'Unable to retrieve the attestations of '+ release.name +'@'+ release.version;
+
+          return done();
+        }
+
+        release.verified.attestations = ((result || {}).attestations || []).map(function map(attestation) {
+          return verify.attestation(attestation, release, keys, time[release.version]);
+        });
+
+        var provenance = release.verified.attestations.filter(verify.provenance);
+
+        //
+        // Provenance that is signed with a certificate isn't missing, we were
+        // just unable to verify it, so it's reported as `null`.
+        //
+        release.verified.provenance = provenance.some(function some(attestation) {
+          return true === attestation.verified;
+        }) || (provenance.some(function some(attestation) {
+          return null === attestation.verified;
+        }) ? null : false);
+
+        done();
+      });
+    }
+
+    /**
+     * Process the queue without exceeding our concurrency.
+     *
+     * @api private
+     */
+    function next() {
+      while (queue.length && active < 10) {
+        active++;
+
+        check(data.versions[queue.shift()], function done() {
+          active--;
+          if (!--pending) return fn();
+
+          next();
+        });
+      }
+    }
+
+    next();
+  });
+}
 
 /**
  * Get all package information.
@@ -14,6 +295,7 @@ var debug = require('debug')('npmjs::packages')
  */
 function Packages(api) {
   this.api = api;
+  this.keys = Object.create(null);
 
   this.send = api.send.bind(api);
   this.view = api.view.bind(api);
@@ -25,14 +307,52 @@ function Packages(api) {
  * Example:
  *
  * - primus@0.1.1 would retrieve primus version 0.1.1
+ * - @scope/name@1.2.3 would retrieve @scope/name version 1.2.3
+ *
+ * The following options are accepted:
+ *
+ * - abbreviated: Retrieve the abbreviated install metadata, defaults to false.
  *
  * @param {String} name The name of the node module.
+ * @param {Object} options Optional configuration.
  * @param {Function} fn The callback.
  * @returns {Assign}
  * @api public
  */
-Packages.prototype.get = function get(name, fn) {
-  return this.send(name.replace('@', '/'), fn).map(normalize.packages);
+Packages.prototype.get = function get(name, options, fn) {
+  if ('function' === typeof options) {
+    fn = options;
+    options = null;
+  }
+
+  options = options || {};
+
+  var pathname = spec.path(name)
+    , headers = {};
+
+  //
+  // The abbreviated metadata lives at the same URL as the full document so we
+  // add a fragment to the pathname. It's not send to the registry but it
+  // prevents our requests and cache from mixing up both documents.
+  //
+  if (options.abbreviated) {
+    headers.Accept = abbreviated;
+    pathname += '#abbreviated';
+  }
+
+  return this.send(pathname, {
+    api: this.api.registry(name),
+    package: spec.parse(name).name,
+    headers: headers
+  }, fn).map(function map(data) {
+    //
+    // Not every registry or mirror supports the abbreviated metadata, they
+    // will return the full document which always has a `time` object.
+    //
+    if (options.abbreviated && !data.time) data.abbreviated = true;
+
+    return normalize.packages(data);
+  });
 };
 
 /**
@@ -45,7 +365,7 @@ Packages.prototype.get = function get(name, fn) {
  */
 Packages.prototype.depended = function depended(name, fn) {
   return this.view('dependedUpon', {
-    key: name
+    key: spec.parse(name).name
   }, fn)
   .map(this.api.map.simple)
   .filter(Boolean);
@@ -61,7 +381,7 @@ Packages.prototype.depended = function depended(name, fn) {
  */
 Packages.prototype.starred = function starred(name, fn) {
   return this.view('browseStarPackage', {
-    key: name
+    key: spec.parse(name).name
   }, fn).map(function map(data) {
     return data[2];
   });
@@ -84,16 +404,43 @@ Packages.prototype.keyword = function keyword(name, fn) {
 };
 
 /**
- * Retrieve all release specific information for the given package name.
+ * Retrieve all release specific information for the given package name. The
+ * following options are accepted:
+ *
+ * - abbreviated: Use the abbreviated install metadata, defaults to false.
+ * - verify: Verify the signatures and provenance of the releases, defaults to false.
  *
  * @param {String} name The package name.
+ * @param {Object} options Optional configuration.
  * @param {Function} fn The callback.
  * @api public
  */
-Packages.prototype.releases = function releases(name, fn) {
-  var api = this.api;
+Packages.prototype.releases = function releases(name, options, fn) {
+  if ('function' === typeof options) {
+    fn = options;
+    options = null;
+  }
+
+  options = options || {};
+  name = spec.parse(name).name;
+
+  var api = this.api
+    , packages = this;
+
+  //
+  // The abbreviated metadata doesn't contain the information we need to
+  // detect the licenses so we skip the details.
+  //
+  return (options.abbreviated
+    ? this.get(name, options, fn)
+    : this.details(name, fn)
+  ).async.map(function map(data, next) {
+    if (!options.verify || !data.versions) return next(undefined, data);
 
-  return this.details(name, fn).emits(function emit(data, add) {
+    verification(packages, data, Object.keys(data.versions), function verified() {
+      next(undefined, data);
+    });
+  }).emits(function emit(data, add) {
     if (!data.versions) return;
 
     //
@@ -144,43 +491,373 @@ Packages.prototype.releases = function releases(name, fn) {
 };
 
 /**
- * Get a specific release of a package.
+ * Get a specific release of a package. The following options are accepted:
+ *
+ * - verify: Verify the signature and provenance of the release, defaults to false.
  *
  * @param {String} name The name of the package
  * @param {String} version A valid version number or tag from the package.
+ * @param {Object} options Optional configuration.
  * @param {Function} fn The callback
  * @returns {Assign} Assignment
  * @api public
  */
-Packages.prototype.release = function release(name, version, fn) {
-  return this.details(name +'/'+ version, fn).map(normalize.packages);
+Packages.prototype.release = function release(name, version, options, fn) {
+  if ('function' === typeof options) {
+    fn = options;
+    options = null;
+  }
+
+  options = options || {};
+  name = spec.parse(name).name;
+
+  if (!options.verify) return this.details(name +'@'+ version, fn).map(normalize.packages);
+
+  var packages = this;
+
+  //
+  // The publication date of the release is needed to check if the signing key
+  // was still valid, so we need the whole package document.
+  //
+  return this.details(name, fn).async.map(function map(data, next) {
+    var versions = data.versions || {}
+      , number = version in versions ? version : (data['dist-tags'] || {})[version];
+
+    if (!(number in versions)) return next(new errors.NotFound('Version '+ version +' of '+ name +' does not exist', {
+      package: name
+    }));
+
+    verification(packages, data, [number], function verified() {
+      var release = versions[number];
+
+      release.date = data.time[number];
+      next(undefined, normalize.packages(release, data));
+    });
+  });
 };
 
 /**
- * Get a version for a specific release.
+ * Get a version for a specific release. It accepts the same options as
+ * `Packages#releases`.
  *
  * @param {String} name The name of the package.
  * @param {String} range The semver version range we should retrieve.
+ * @param {Object} options Optional configuration.
  * @param {Function} fn The callback
  * @returns {Assign} Assignment
  * @api public
  */
-Packages.prototype.range = function ranged(name, range, fn) {
-  if (!semver.validRange(range)) return fn(new Error('Invalid semver range'));
+Packages.prototype.range = function ranged(name, range, options, fn) {
+  if ('function' === typeof options) {
+    fn = options;
+    options = null;
+  }
+
+  if (!semver.validRange(range)) return this.api.bail(fn, new errors.InvalidInput('Invalid semver range', {
+    package: spec.parse(name).name
+  }));
 
-  return this.releases(name, function releases(err, versions) {
+  return this.releases(name, options, function releases(err, versions) {
     if (err) return fn(err);
 
-    if (range in versions) {
-      debug('found and direct range (%s) match for %s', range, name);
-      return fn(undefined, versions[range]);
+    var version = satisfying(versions, range);
+
+    debug('max satisfying version for %s@%s is %s', name, range, version);
+    fn(undefined, versions[version]);
+  });
+};
+
+/**
+ * Resolve the full dependency tree of a package in to a deduplicated graph.
+ * Every release is stored once by its `name@version` and refers to the
+ * releases of its dependencies. The following options are accepted:
+ *
+ * - optional: Include the optionalDependencies, defaults to true.
+ * - peer: Include the peerDependencies, defaults to false.
+ * - dev: Include the devDependencies of the root package, defaults to false.
+ * - concurrency: Maximum amount of packages we resolve at once, defaults to 10.
+ *
+ * The callback receives a serializable structure with the `root` release, all
+ * `packages`, the dependency `cycles` and the `unresolved` ranges.
+ *
+ * Instead of a package name you can also supply the contents of a
+ * `package.json` which will be used as root of the tree.
+ *
+ * @param {String|Object} name The name of the package or a package.json.
+ * @param {String} range The semver range or tag of the root package.
+ * @param {Object} options Optional configuration.
+ * @param {Function} fn The callback.
+ * @api public
+ */
+Packages.prototype.tree = function tree(name, range, options, fn) {
+  if ('function' === typeof options) {
+    fn = options;
+    options = null;
+  }
+
+  if ('object' === typeof range && range) {
+    options = range;
+    range = null;
+  } else if ('function' === typeof range) {
+    fn = range;
+    range = null;
+  }
+
+  //
+  // Instead of the name of a package we can also receive the contents of
+  // a `package.json` which is used as root of the tree.
+  //
+  var manifest = 'object' === typeof name && name ? name : undefined;
+
+  options = options || {};
+  options.optional = 'optional' in options ? options.optional : true;
+  options.peer = 'peer' in options ? options.peer : false;
+  options.dev = 'dev' in options ? options.dev : false;
+  options.concurrency = 'concurrency' in options ? options.concurrency : 10;
+
+  var result = { root: undefined, packages: {}, cycles: [], unresolved: [] }
+    , documents = Object.create(null)
+    , packages = this
+    , api = this.api
+    , finished = false
+    , queue = []
+    , active = 0;
+
+  if (!manifest) {
+    range = range || spec.parse(name).version || 'latest';
+    name = spec.parse(name).name;
+  }
+
+  /**
+   * Fetch the versions and tags of a package, every package is only fetched
+   * once.
+   *
+   * @param {String} name The name of the package.
+   * @param {Function} fn The callback.
+   * @api private
+   */
+  function fetch(name, fn) {
+    if (Array.isArray(documents[name])) return documents[name].push(fn);
+    if (name in documents) return fn(documents[name].error, documents[name]);
+
+    documents[name] = [fn];
+
+    packages.get(name, function fetched(err, data) {
+      data = Array.isArray(data) ? data[0] : data;
+
+      var queued = documents[name]
+        , versions = api.merge({}, data && data.versions || {});
+
+      if (data) Object.keys(data['dist-tags'] || {}).forEach(function each(tag) {
+        var version = data['dist-tags'][tag];
+        if (version in versions && !(tag in versions)) versions[tag] = versions[version];
+      });
+
+      documents[name] = { error: err, versions: versions };
+      queued.forEach(function each(fn) {
+        fn(err, documents[name]);
+      });
+    });
+  }
+
+  /**
+   * Resolve a single dependency and queue its dependencies.
+   *
+   * @param {Object} task The dependency we need to resolve.
+   * @param {Function} done Completion callback.
+   * @api private
+   */
+  function resolve(task, done) {
+    fetch(task.name, function fetched(err, data) {
+      var parent = result.packages[task.from]
+        , release;
+
+      if (!err && (semver.validRange(task.range) || task.range in data.versions)) {
+        release = data.versions[satisfying(data.versions, task.range)];
+      }
+
+      if (release) {
+        insert(task, release);
+        return done();
+      }
+
+      result.unresolved.push({
+        name: task.name,
+        range: task.range,
+        from: task.from,
+        type: task.type,
+        error: err ? err.message : 'No version satisfies the range'
+      });
+
+      if (parent) parent[task.type][task.name] = null;
+      done();
+    });
+  }
+
+  /**
+   * Add the resolved release to the tree and queue its dependencies.
+   *
+   * @param {Object} task The dependency we've resolved.
+   * @param {Object} release The release that satisfies the dependency.
+   * @api private
+   */
+  function insert(task, release) {
+    var parent = result.packages[task.from]
+      , key = task.name +'@'+ release.version
+      , types = ['dependencies']
+      , node;
+
+    if (parent) parent[task.type][task.name] = key;
+    else result.root = key;
+
+    if (key in result.packages) return;
+
+    node = result.packages[key] = {
+      name: task.name,
+      version: release.version,
+      dist: release.dist || {},
+      ranges: {},
+      dependencies: {},
+      optionalDependencies: {},
+      peerDependencies: {},
+      devDependencies: {}
+    };
+
+    if (options.optional) types.push('optionalDependencies');
+    if (options.peer) types.push('peerDependencies');
+    if (options.dev && !parent) types.push('devDependencies');
+
+    types.forEach(function each(type) {
+      Object.keys(release[type] || {}).forEach(function each(dependency) {
+        //
+        // Optional dependencies are also listed in the dependencies, they
+        // should only be resolved as optional dependency.
+        //
+        if ('dependencies' === type && dependency in (release.optionalDependencies || {})) {
+          return;
+        }
+
+        node.ranges[dependency] = (release[type][dependency] || '*').toString().trim() || '*';
+        queue.push({
+          name: dependency,
+          range: node.ranges[dependency],
+          from: key,
+          type: type
+        });
+      });
+    });
+  }
+
+  /**
+   * Process the queue without exceeding our concurrency.
+   *
+   * @api private
+   */
+  function next() {
+    while (queue.length && active < options.concurrency) {
+      active++;
+
+      resolve(queue.shift(), function done() {
+        active--;
+        next();
+      });
     }
 
-    var version = semver.maxSatisfying(Object.keys(versions), range);
+    //
+    // Cached packages are resolved synchronously, so we could already have
+    // completed the tree in a recursive call.
+    //
+    if (active || queue.length || finished) return;
+
+    finished = true;
+    if (!result.root) return fn(new errors.NotFound('Unable to resolve '+ name +'@'+ range, {
+      package: name
+    }));
 
-    debug('max satisfying version for %s is %s', name, version);
-    fn(undefined, versions[version]);
+    result.cycles = cycles(result.packages, result.root);
+    fn(undefined, result);
+  }
+
+  //
+  // Like npm, a package.json without a name is still a valid root of a tree.
+  //
+  if (manifest) insert({ name: manifest.name || '', from: undefined, type: 'dependencies' }, {
+    version: manifest.version || '0.0.0',
+    dependencies: manifest.dependencies,
+    optionalDependencies: manifest.optionalDependencies,
+    peerDependencies: manifest.peerDependencies,
+    devDependencies: manifest.devDependencies
   });
+  else queue.push({ name: name, range: range, from: undefined, type: 'dependencies' });
+
+  next();
+};
+
+/**
+ * Generate a `package-lock.json` for the given package.json by resolving its
+ * dependency tree. Every package includes the `resolved` tarball URL and the
+ * `integrity` of its release. The following options are accepted:
+ *
+ * - lockfileVersion: Version of the lockfile format, 2 or 3, defaults to 3.
+ * - dev: Include the devDependencies, defaults to true.
+ * - peer: Include the peerDependencies, defaults to true.
+ * - concurrency: Maximum amount of packages we resolve at once, defaults to 10.
+ *
+ * @param {Object} manifest The package.json of the root package.
+ * @param {Object} options Optional configuration.
+ * @param {Function} fn The callback.
+ * @api public
+ */
+Packages.prototype.lockfile = function locked(manifest, options, fn) {
+  if ('function' === typeof options) {
+    fn = options;
+    options = null;
+  }
+
+  options = options || {};
+
+  this.tree(manifest, {
+    concurrency: 'concurrency' in options ? options.concurrency : 10,
+    dev: 'dev' in options ? options.dev : true,
+    peer: 'peer' in options ? options.peer : true,
+    optional: true
+  }, function resolved(err, tree) {
+    if (err) return fn(err);
+
+    //
+    // Optional dependencies are allowed to fail, all others should be
+    // resolved or we would generate an incomplete lockfile.
+    //
+    var missing = tree.unresolved.filter(function filter(dependency) {
+      return 'optionalDependencies' !== dependency.type;
+    }).map(function map(dependency) {
+      return dependency.name +'@'+ dependency.range;
+    });
+
+    if (missing.length) {
+      return fn(new errors.NotFound('Unable to resolve '+ missing.join(', '), {
+        package: manifest.name
+      }));
+    }
+
+    try { tree = lockfile.create(tree, manifest, options); }
+    catch (e) { return fn(e); }
+
+    fn(undefined, tree);
+  });
+};
+
+/**
+ * Generate a `npm-shrinkwrap.json` for the given package.json. It shares the
+ * format of the `package-lock.json` and accepts the same options.
+ *
+ * @param {Object} manifest The package.json of the root package.
+ * @param {Object} options Optional configuration.
+ * @param {Function} fn The callback.
+ * @api public
+ */
+Packages.prototype.shrinkwrap = function shrinkwrap(manifest, options, fn) {
+  return this.lockfile(manifest, options, fn);
 };
 
 /**
@@ -212,6 +889,603 @@ Packages.prototype.details = function details(name, fn) {
   });
 };
 
+/**
+ * Download the tarball of a package. The version can be a version number, tag
+ * or semver range which is resolved using `range`. The returned stream emits an
+ * `IntegrityError` when the tarball doesn't match the `dist.shasum` and
+ * `dist.integrity` of the release. When the tarball cannot be downloaded we
+ * downgrade to our mirrors.
+ *
+ * @param {String} name The name of the package.
+ * @param {String} version Version number, tag or semver range.
+ * @param {Function} fn Optional callback for when the tarball is verified.
+ * @returns {Stream} The tarball.
+ * @api public
+ */
+Packages.prototype.tarball = function tarball(name, version, fn) {
+  if ('function' === typeof version) {
+    fn = version;
+    version = null;
+  }
+
+  var stream = new PassThrough()
+    , api = this.api;
+
+  version = version || spec.parse(name).version || 'latest';
+  name = spec.parse(name).name;
+
+  if (fn) stream.once('error', fn);
+
+  /**
+   * Download the tarball of the resolved release.
+   *
+   * @param {Error} err Optional error argument.
+   * @param {Object} release The release we should download.
+   * @api private
+   */
+  function resolved(err, release) {
+    release = Array.isArray(release) ? release[0] : release;
+    if (err) return stream.emit('error', err);
+
+    if (!release || !release.dist || !release.dist.tarball) {
+      return stream.emit('error', new errors.NotFound('Unable to find a tarball for '+ name +'@'+ version, {
+        package: name,
+        url: api.registry(name)
+      }));
+    }
+
+    var registry = api.registry(name)
+      , pathname = url.parse(release.dist.tarball).pathname
+      , hashes = [];
+
+    //
+    // Gather all hashes of the release, the shasum is a hex encoded sha1 and
+    // the integrity contains one or more Subresource Integrity hashes.
+    //
+    if (release.dist.shasum) hashes.push({
+      algorithm: 'sha1', encoding: 'hex', expected: release.dist.shasum
+    });
+
+    (release.dist.integrity || '').split(/\s+/).forEach(function each(sri) {
+      var index = sri.indexOf('-')
+        , algorithm = sri.slice(0, index);
+
+      if (!~index || !~crypto.getHashes().indexOf(algorithm)) return;
+
+      hashes.push({
+        algorithm: algorithm, encoding: 'base64', expected: sri.slice(index + 1)
+      });
+    });
+
+    api.downgrade([registry].concat(api.mirrors || []), function downgraded(err, root, next, failures) {
+      if (err) return stream.emit('error', errors.translate(failures[failures.length - 1] || err, {
+        url: registry,
+        package: name
+      }));
+
+      var uri = root === registry ? release.dist.tarball : url.resolve(root, pathname);
+
+      debug('downloading tarball %s', uri);
+
+      download(api, uri, function downloading(err, res) {
+        if (err) return next(err);
+
+        hashes.forEach(function each(hash) {
+          hash.hash = crypto.createHash(hash.algorithm);
+        });
+
+        res.on('data', function data(chunk) {
+          hashes.forEach(function each(hash) {
+            hash.hash.update(chunk);
+          });
+
+          stream.write(chunk);
+        });
+
+        res.on('error', function error(err) {
+          stream.emit('error', err);
+        });
+
+        res.on('end', function end() {
+          var failed = hashes.filter(function filter(hash) {
+            hash.actual = hash.hash.digest(hash.encoding);
+            return hash.actual !== hash.expected;
+          })[0];
+
+          if (failed) return stream.emit('error', new errors.IntegrityError(
+            'The '+ failed.algorithm +' of '+ name +'@'+ release.version +' does not match', {
+              package: name,
+              url: uri,
+              algorithm: failed.algorithm,
+              expected: failed.expected,
+              actual: failed.actual
+            }
+          ));
+
+          stream.end();
+          if (fn) fn(undefined, release);
+        });
+      });
+    });
+  }
+
+  if (semver.validRange(version)) this.range(name, version, resolved);
+  else this.release(name, version, resolved);
+
+  return stream;
+};
+
+/**
+ * Publish a new version of a package. The full registry document, including
+ * the tarball as attachment, is generated from the supplied `package.json`. The
+ * following options are accepted:
+ *
+ * - tag: The dist-tag that should point to the version, defaults to latest.
+ * - access: Access level of scoped packages, public or restricted.
+ *
+ * @param {Object} manifest The `package.json` of the package.
+ * @param {Buffer} tarball The tarball of the package.
+ * @param {Object} options Optional publish configuration.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api public
+ */
+Packages.prototype.publish = function publish(manifest, tarball, options, fn) {
+  if ('function' === typeof options) {
+    fn = options;
+    options = null;
+  }
+
+  options = options || {};
+  manifest = manifest || {};
+
+  if (!manifest.name) return this.api.bail(fn, new errors.InvalidInput('Missing package name'));
+  if (!semver.valid(manifest.version)) return this.api.bail(fn, new errors.InvalidInput('Invalid version number', {
+    package: manifest.name
+  }));
+  if (!Buffer.isBuffer(tarball)) return this.api.bail(fn, new errors.InvalidInput('Missing tarball', {
+    package: manifest.name
+  }));
+
+  var registry = this.api.registry(manifest.name)
+    , version = semver.clean(manifest.version)
+    , filename = manifest.name +'-'+ version +'.tgz'
+    , tag = options.tag || 'latest'
+    , packages = this
+    , release = this.api.merge({}, manifest)
+    , data = {};
+
+  release._id = manifest.name +'@'+ version;
+  release.version = version;
+  release.dist = {
+    integrity: 'sha512-'+ crypto.createHash('sha512').update(tarball).digest('base64'),
+    shasum: crypto.createHash('sha1').update(tarball).digest('hex'),
+    tarball: registry + manifest.name +'/-/'+ filename
+  };
+
+  data._id = data.name = manifest.name;
+  data.description = manifest.description;
+  data.readme = manifest.readme || '';
+  data['dist-tags'] = {};
+  data['dist-tags'][tag] = version;
+  data.versions = {};
+  data.versions[version] = release;
+  data._attachments = {};
+  data._attachments[filename] = {
+    content_type: 'application/octet-stream',
+    data: tarball.toString('base64'),
+    length: tarball.length
+  };
+
+  if (options.access) data.access = options.access;
+  if (manifest.maintainers) data.maintainers = manifest.maintainers;
+
+  debug('publishing %s to %s', release._id, registry);
+
+  return this.send(spec.encode(manifest.name), {
+    api: registry,
+    package: manifest.name,
+    method: 'PUT',
+    json: data
+  }, function published(err, result) {
+    if (!err) return fn(err, result);
+    if (409 !== err.statusCode) return fn(conflict(err));
+
+    //
+    // The package already exists in the CouchDB so we need to merge our new
+    // release in to the current document and update it using its `_rev`. The
+    // document is always fetched from the registry itself, as a cached or
+    // mirrored copy can have an outdated `_rev`.
+    //
+    packages.send(spec.encode(manifest.name) +'?write=true', {
+      api: registry,
+      package: manifest.name,
+      mirrors: false,
+      cache: false
+    }, function current(err, doc) {
+      doc = Array.isArray(doc) ? doc[0] : doc;
+      if (err) return fn(err);
+
+      if (version in (doc.versions || {})) return fn(existing());
+
+      doc.versions = packages.api.merge(doc.versions || {}, data.versions);
+      doc['dist-tags'] = packages.api.merge(doc['dist-tags'] || {}, data['dist-tags']);
+      doc._attachments = data._attachments;
+
+      packages.send(spec.encode(manifest.name) +'/-rev/'+ doc._rev, {
+        api: registry,
+        package: manifest.name,
+        method: 'PUT',
+        json: doc
+      }, function updated(err, result) {
+        fn(errors.conflicted(err, manifest.name, registry, doc._rev), result);
+      });
+    });
+  });
+
+  /**
+   * The error for a version that has already been published.
+   *
+   * @returns {Conflict}
+   * @api private
+   */
+  function existing() {
+    return new errors.Conflict('Cannot publish over existing version '+ release._id, {
+      package: manifest.name,
+      url: registry
+    });
+  }
+
+  /**
+   * Transform the error in to a Conflict when the registry refused the release
+   * because the version has already been published.
+   *
+   * @param {Error} err The error we received.
+   * @returns {Error}
+   * @api private
+   */
+  function conflict(err) {
+    var body = [err].concat(err.errors || []).map(function map(err) {
+      return err.body ? JSON.stringify(err.body) : '';
+    }).join('');
+
+    if (!/previously published|publish over/i.test(body)) return err;
+    return existing();
+  }
+};
+
+/**
+ * Unpublish a version of a package. The tarball of the version is removed as
+ * well. When no version is supplied, or when it's the last remaining version,
+ * the whole package is removed from the registry.
+ *
+ * @param {String} name The name of the package.
+ * @param {String} version Optional version that should be unpublished.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api public
+ */
+Packages.prototype.unpublish = function unpublish(name, version, fn) {
+  if ('function' === typeof version) {
+    fn = version;
+    version = null;
+  }
+
+  name = spec.parse(name).name;
+
+  var registry = this.api.registry(name)
+    , path = spec.encode(name)
+    , packages = this;
+
+  /**
+   * Remove the whole package document from the registry.
+   *
+   * @param {String} rev The current revision of the document.
+   * @api private
+   */
+  function remove(rev) {
+    debug('removing %s from %s', name, registry);
+
+    packages.send(path +'/-rev/'+ rev, {
+      method: 'DELETE',
+      package: name,
+      api: registry
+    }, function removed(err, result) {
+      fn(errors.conflicted(err, name, registry, rev), result);
+    });
+  }
+
+  return this.send(path +'?write=true', {
+    package: name,
+    api: registry,
+    mirrors: false,
+    cache: false
+  }, function current(err, doc) {
+    doc = Array.isArray(doc) ? doc[0] : doc;
+    if (err) return fn(err);
+
+    var versions = doc.versions || {}
+      , release = versions[version]
+      , tags = doc['dist-tags'] || {};
+
+    if (!version) return remove(doc._rev);
+    if (!release) return fn(new errors.NotFound('Version '+ version +' of '+ name +' does not exist', {
+      package: name,
+      url: registry
+    }));
+
+    delete versions[version];
+    if (!Object.keys(versions).length) return remove(doc._rev);
+
+    //
+    // Remove the tags that pointed to the unpublished version and make sure
+    // that the latest tag keeps pointing at the latest release.
+    //
+    Object.keys(tags).forEach(function each(tag) {
+      if (tags[tag] === version) delete tags[tag];
+    });
+
+    if (!tags.latest) tags.latest = semver.maxSatisfying(Object.keys(versions), '*', true);
+    if (doc.time) delete doc.time[version];
+
+    debug('unpublishing %s@%s from %s', name, version, registry);
+
+    packages.send(path +'/-rev/'+ doc._rev, {
+      method: 'PUT',
+      package: name,
+      api: registry,
+      json: doc
+    }, function updated(err, result) {
+      result = Array.isArray(result) ? result[0] : result;
+      if (err) return fn(errors.conflicted(err, name, registry, doc._rev));
+      if (!release.dist || !release.dist.tarball) return fn(err, result);
+
+      //
+      // The tarball URL can point to a different host or miss the path prefix
+      // of the registry, so only its filename is used.
+      //
+      var tarball = path +'/-/'+ url.parse(release.dist.tarball).pathname.split('/').pop();
+
+      packages.send(tarball +'/-rev/'+ result.rev, {
+        method: 'DELETE',
+        package: name,
+        api: registry
+      }, function removed(err, data) {
+        fn(errors.conflicted(err, name, registry, result.rev), data);
+      });
+    });
+  });
+};
+
+/**
+ * Deprecate all versions of a package that satisfy the given semver range. An
+ * empty message removes the deprecation.
+ *
+ * @param {String} name The name of the package.
+ * @param {String} range The semver range of the versions.
+ * @param {String} message The deprecation message.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api public
+ */
+Packages.prototype.deprecate = function deprecate(name, range, message, fn) {
+  name = spec.parse(name).name;
+
+  if (!semver.validRange(range)) return this.api.bail(fn, new errors.InvalidInput('Invalid semver range', {
+    package: name
+  }));
+
+  var registry = this.api.registry(name)
+    , path = spec.encode(name)
+    , packages = this;
+
+  return this.send(path +'?write=true', {
+    package: name,
+    api: registry,
+    mirrors: false,
+    cache: false
+  }, function current(err, doc) {
+    doc = Array.isArray(doc) ? doc[0] : doc;
+    if (err) return fn(err);
+
+    var versions = Object.keys(doc.versions || {}).filter(function filter(version) {
+      return semver.valid(version) && semver.satisfies(version, range);
+    });
+
+    if (!versions.length) {
+      return fn(new errors.NotFound('No versions of '+ name +' satisfy the range '+ range, {
+        package: name,
+        url: registry
+      }));
+    }
+
+    versions.forEach(function each(version) {
+      doc.versions[version].deprecated = message;
+    });
+
+    debug('deprecating %d versions of %s', versions.length, name);
+
+    packages.send(path +'/-rev/'+ doc._rev, {
+      method: 'PUT',
+      package: name,
+      api: registry,
+      json: doc
+    }, function updated(err, result) {
+      fn(errors.conflicted(err, name, registry, doc._rev), result);
+    });
+  });
+};
+
+/**
+ * Get the security advisories of a package. Every advisory includes the
+ * published `versions` that are vulnerable and the lowest version that `fix`es
+ * them. When a version is supplied, like `foo@1.2.3`, only the advisories that
+ * affect that version are returned.
+ *
+ * @param {String} name The name of the package.
+ * @param {Function} fn The callback.
+ * @api public
+ */
+Packages.prototype.advisories = function advisories(name, fn) {
+  var parsed = spec.parse(name)
+    , registry = this.api.registry(parsed.name)
+    , packages = this;
+
+  name = parsed.name;
+
+  this.get(name, function fetched(err, data) {
+    data = Array.isArray(data) ? data[0] : data;
+    if (err) return fn(err);
+
+    var published = Object.keys(data.versions || {})
+      , versions = semver.valid(parsed.version) ? [parsed.version] : published
+      , bulk = {};
+
+    bulk[name] = versions;
+
+    packages.send(audit.pathname, {
+      method: 'POST',
+      package: name,
+      api: registry,
+      json: bulk
+    }, function advised(err, result) {
+      result = Array.isArray(result) ? result[0] : result;
+      if (err) return fn(err);
+
+      fn(undefined, ((result || {})[name] || []).map(audit.advisory).map(function map(advisory) {
+        advisory.versions = versions.filter(function filter(version) {
+          return semver.valid(version) && semver.satisfies(version, advisory.range);
+        }).sort(semver.compare);
+
+        advisory.fix = audit.fix(published, advisory.versions[0], [advisory]);
+        return advisory;
+      }).filter(function filter(advisory) {
+        return advisory.versions.length;
+      }));
+    });
+  });
+};
+
+/**
+ * Get the access settings of a package: its `access`, `public` or
+ * `restricted`, if two-factor authentication is required to publish it (`tfa`)
+ * and the `collaborators` with their `permissions`, `read-only` or
+ * `read-write`. The settings are changed first when the following options are
+ * supplied:
+ *
+ * - access: Make the package `public` or `restricted`, only scoped packages
+ *   can be restricted.
+ * - tfa: Require two-factor authentication to publish the package.
+ *
+ * @param {String} name The name of the package.
+ * @param {Object} options Optional settings that should be changed.
+ * @param {Function} fn The callback.
+ * @api public
+ */
+Packages.prototype.access = function access(name, options, fn) {
+  if ('function' === typeof options) {
+    fn = options;
+    options = null;
+  }
+
+  options = options || {};
+
+  var parsed = spec.parse(name)
+    , registry = this.api.registry(parsed.name)
+    , path = '-/package/'+ spec.encode(parsed.name)
+    , packages = this
+    , changes = {};
+
+  name = parsed.name;
+
+  if ('access' in options) {
+    if ('public' !== options.access && 'restricted' !== options.access) {
+      return this.api.bail(fn, new errors.InvalidInput('Invalid access '+ options.access, { package: name }));
+    }
+
+    if ('restricted' === options.access && !parsed.scope) {
+      return this.api.bail(fn, new errors.InvalidInput('Only scoped packages can be restricted', { package: name }));
+    }
+
+    changes.access = options.access;
+  }
+
+  if ('tfa' in options) changes.publish_requires_tfa = !!options.tfa;
+
+  /**
+   * Read the access settings and the collaborators of the package.
+   *
+   * @api private
+   */
+  function read() {
+    var result = { name: name }
+      , pending = 2
+      , failed;
+
+    /**
+     * Wait for both requests before we call the callback.
+     *
+     * @param {Error} err Optional error.
+     * @api private
+     */
+    function done(err) {
+      if (failed) return;
+      if (err) return fn(failed = err);
+      if (--pending) return;
+
+      fn(undefined, result);
+    }
+
+    packages.send(path +'/access', {
+      package: name,
+      api: registry
+    }, function settings(err, data) {
+      data = Array.isArray(data) ? data[0] : data;
+      data = data || {};
+
+      result.access = data.access || (parsed.scope ? 'restricted' : 'public');
+      result.tfa = !!data.publish_requires_tfa;
+
+      done(err);
+    });
+
+    packages.send(path +'/collaborators?format=cli', {
+      package: name,
+      api: registry
+    }, function collaborators(err, data) {
+      data = Array.isArray(data) ? data[0] : data;
+
+      result.collaborators = Object.keys(data || {}).sort().map(function map(user) {
+        return { name: user, permissions: permissions[data[user]] || data[user] };
+      });
+
+      done(err);
+    });
+  }
+
+  if (!Object.keys(changes).length) return read();
+
+  debug('changing the access of %s to %j', name, changes);
+
+  this.send(path +'/access', {
+    method: 'POST',
+    package: name,
+    api: registry,
+    json: changes
+  }, function changed(err) {
+    if (err) return fn(err);
+    read();
+  });
+};
+
+//
+// Return a thenable when the methods are called without a callback.
+//
+thenable(Packages, [
+  'get', 'releases', 'release', 'range', 'tree', 'lockfile', 'shrinkwrap',
+  'details', 'publish', 'unpublish', 'deprecate', 'access'
+], ['depended', 'starred', 'keyword', 'advisories']);
+
 //
 // Expose the module.
 //
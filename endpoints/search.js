@@ -0,0 +1,194 @@
+'use strict';
+
+var debug = require('debug')('npmjs::search')
+  , thenable = require('../thenable')
+  , errors = require('../errors');
+
+/**
+ * The qualifiers that can be used to narrow down the search results.
+ *
+ * @type {Array}
+ * @private
+ */
+var qualifiers = ['keywords', 'author', 'maintainer', 'scope'];
+
+/**
+ * The weights that can be used to influence the score of the results.
+ *
+ * @type {Array}
+ * @private
+ */
+var weights = ['quality', 'popularity', 'maintenance'];
+
+/**
+ * Search the registry for packages.
+ *
+ * @constructor
+ * @param {Registry} api Reference to the wrapping registry.
+ * @api private
+ */
+function Search(api) {
+  this.api = api;
+  this.send = api.send.bind(api);
+}
+
+/**
+ * Transform the query in to the search text. The query can be a string or an
+ * object with the `text` and the `keywords`, `author`, `maintainer` and `scope`
+ * qualifiers.
+ *
+ * @param {String|Object} query The search query.
+ * @returns {String} The search text.
+ * @api private
+ */
+Search.prototype.text = function text(query) {
+  if ('object' !== typeof query || !query) return (query || '').toString().trim();
+
+  return [query.text].concat(qualifiers.map(function map(qualifier) {
+    var value = query[qualifier];
+
+    if (Array.isArray(value)) value = value.join(',');
+    if (!value) return;
+
+    //
+    // The scope qualifier does not want the `@` prefix.
+    //
+    if ('scope' === qualifier) value = value.toString().replace(/^@/, '');
+
+    return qualifier +':'+ value;
+  })).filter(Boolean).join(' ').trim();
+};
+
+/**
+ * Search for packages. The following options are accepted:
+ *
+ * - from: Offset of the first result, defaults to 0.
+ * - size: Amount of results, between 1 and 250, defaults to 20.
+ * - quality: Weight of the quality score, between 0 and 1.
+ * - popularity: Weight of the popularity score, between 0 and 1.
+ * - maintenance: Weight of the maintenance score, between 0 and 1.
+ *
+ * @param {String|Object} query The search query.
+ * @param {Object} options Optional configuration.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api public
+ */
+Search.prototype.query = function query(search, options, fn) {
+  if ('function' === typeof options) {
+    fn = options;
+    options = null;
+  }
+
+  options = options || {};
+
+  var params = { text: this.text(search) }
+    , scope = 'object' === typeof search && search && search.scope
+    , api = this.api
+    , invalid;
+
+  if (!params.text) return this.api.bail(fn, new errors.InvalidInput('Missing search query'));
+
+  params.size = 'size' in options ? +options.size : 20;
+  params.from = 'from' in options ? +options.from : 0;
+
+  if (!(params.size >= 1 && params.size <= 250)) return this.api.bail(fn, new errors.InvalidInput('The size should be between 1 and 250'));
+  if (!(params.from >= 0)) return this.api.bail(fn, new errors.InvalidInput('The from should be a positive number'));
+
+  invalid = weights.filter(function filter(weight) {
+    if (!(weight in options)) return false;
+
+    params[weight] = +options[weight];
+    return !(params[weight] >= 0 && params[weight] <= 1);
+  });
+
+  if (invalid.length) return this.api.bail(fn, new errors.InvalidInput('The '+ invalid.join(', ') +' weight should be between 0 and 1'));
+
+  debug('searching for %j', params);
+
+  //
+  // Packages of a scope are searched in the registry of the scope.
+  //
+  if (scope) scope = api.scopes['@'+ scope.toString().replace(/^@/, '')];
+
+  return this.send('-/v1/search'+ api.querystring(params, Object.keys(params)), {
+    api: scope || api.api
+  }, fn).emits(function emit(data, add) {
+    (data.objects || []).forEach(function each(result) {
+      var pkg = result.package || {}
+        , simple = api.map.simple([undefined, pkg.name, pkg.description || '']);
+
+      simple.version = pkg.version;
+      simple.score = (result.score || {}).final || 0;
+
+      add(simple);
+    });
+
+    return false;
+  });
+};
+
+/**
+ * Iterate over all search results. It fetches the pages of results when they
+ * are needed and can be used with `for await`. It accepts the same options as
+ * `Search#query` where the `size` is the amount of results per page which
+ * defaults to 250.
+ *
+ * @param {String|Object} query The search query.
+ * @param {Object} options Optional configuration.
+ * @returns {Object} Async iterator.
+ * @api public
+ */
+Search.prototype.iterate = function iterate(query, options) {
+  options = this.api.merge({ size: 250, from: 0 }, options || {});
+  options.from = +options.from;
+
+  var results = []
+    , search = this
+    , done = false
+    , iterator;
+
+  iterator = {
+    next: function next() {
+      if (results.length) return Promise.resolve({ value: results.shift(), done: false });
+      if (done) return Promise.resolve({ value: undefined, done: true });
+
+      return new Promise(function page(resolve, reject) {
+        search.query(query, options, function found(err, page) {
+          if (err) return reject(err);
+
+          options.from += page.length;
+          done = page.length < options.size;
+          results = page;
+
+          resolve(iterator.next());
+        });
+      });
+    },
+
+    return: function stop() {
+      done = true;
+      results = [];
+
+      return Promise.resolve({ value: undefined, done: true });
+    }
+  };
+
+  if ('undefined' !== typeof Symbol && Symbol.asyncIterator) {
+    iterator[Symbol.asyncIterator] = function asyncIterator() {
+      return iterator;
+    };
+  }
+
+  return iterator;
+};
+
+//
+// Return a thenable when the methods are called without a callback.
+//
+thenable(Search, [], ['query']);
+
+//
+// Expose the Search API.
+//
+module.exports = Search;
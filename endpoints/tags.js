@@ -0,0 +1,167 @@
+'use strict';
+
+var debug = require('debug')('npmjs::tags')
+  , thenable = require('../thenable')
+  , errors = require('../errors')
+  , semver = require('../semver')
+  , spec = require('../spec');
+
+/**
+ * Normalize the dist-tags of a package, only tags that point to valid version
+ * numbers are kept.
+ *
+ * @param {Object} tags The dist-tags.
+ * @returns {Object} The cleaned up dist-tags.
+ * @api private
+ */
+function normalize(tags) {
+  tags = tags || {};
+
+  return Object.keys(tags).reduce(function reduce(memo, tag) {
+    var version = 'string' === typeof tags[tag] && semver.valid(tags[tag], true);
+
+    if (version) memo[tag] = version;
+    return memo;
+  }, {});
+}
+
+/**
+ * Manage the dist-tags of packages.
+ *
+ * @constructor
+ * @param {Registry} api Reference to the wrapping registry.
+ * @api private
+ */
+function Tags(api) {
+  this.api = api;
+  this.send = api.send.bind(api);
+}
+
+/**
+ * List all dist-tags of a package.
+ *
+ * @param {String} name The name of the package.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api public
+ */
+Tags.prototype.list = function list(name, fn) {
+  name = spec.parse(name).name;
+
+  return this.send(['-', 'package', spec.encode(name), 'dist-tags'], {
+    api: this.api.registry(name),
+    package: name
+  }, fn).map(normalize);
+};
+
+/**
+ * Point a dist-tag of a package to the given version. The tag cannot be a valid
+ * semver range and the version should exist.
+ *
+ * @param {String} name The name of the package.
+ * @param {String} version The version the tag should point to.
+ * @param {String} tag The name of the tag.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api public
+ */
+Tags.prototype.add = function add(name, version, tag, fn) {
+  name = spec.parse(name).name;
+  tag = (tag || '').toString().trim();
+
+  if (!tag) return this.api.bail(fn, new errors.InvalidInput('Missing tag', { package: name }));
+  if (semver.validRange(tag)) return this.api.bail(fn, new errors.InvalidInput('Tag cannot be a valid semver range', { package: name }));
+  if (!semver.valid(version)) return this.api.bail(fn, new errors.InvalidInput('Invalid version number', { package: name }));
+
+  var registry = this.api.registry(name)
+    , tags = this;
+
+  version = semver.clean(version);
+
+  return this.send(spec.encode(name), {
+    api: registry,
+    package: name,
+    mirrors: false,
+    cache: false
+  }, function current(err, data) {
+    data = Array.isArray(data) ? data[0] : data;
+    if (err) return fn(err);
+
+    if (!(version in (data.versions || {}))) {
+      return fn(new errors.NotFound('Version '+ version +' of '+ name +' does not exist', {
+        package: name,
+        url: registry
+      }));
+    }
+
+    debug('tagging %s@%s as %s', name, version, tag);
+
+    tags.send(['-', 'package', spec.encode(name), 'dist-tags', encodeURIComponent(tag)], {
+      method: 'PUT',
+      api: registry,
+      package: name,
+      json: version
+    }, function added(err) {
+      if (err) return fn(err);
+
+      data = normalize(data['dist-tags']);
+      data[tag] = version;
+
+      fn(undefined, data);
+    });
+  });
+};
+
+/**
+ * Remove a dist-tag from a package. The `latest` tag cannot be removed.
+ *
+ * @param {String} name The name of the package.
+ * @param {String} tag The name of the tag.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api public
+ */
+Tags.prototype.remove = function remove(name, tag, fn) {
+  name = spec.parse(name).name;
+  tag = (tag || '').toString().trim();
+
+  if (!tag) return this.api.bail(fn, new errors.InvalidInput('Missing tag', { package: name }));
+  if ('latest' === tag) return this.api.bail(fn, new errors.InvalidInput('The latest tag cannot be removed', { package: name }));
+
+  var tags = this;
+
+  return this.list(name, function current(err, data) {
+    data = Array.isArray(data) ? data[0] : data;
+    if (err) return fn(err);
+
+    if (!(tag in data)) {
+      return fn(new errors.NotFound('Tag '+ tag +' of '+ name +' does not exist', {
+        package: name,
+        url: tags.api.registry(name)
+      }));
+    }
+
+    debug('removing tag %s from %s', tag, name);
+
+    tags.send(['-', 'package', spec.encode(name), 'dist-tags', encodeURIComponent(tag)], {
+      method: 'DELETE',
+      api: tags.api.registry(name),
+      package: name
+    }, function removed(err) {
+      if (err) return fn(err);
+
+      delete data[tag];
+      fn(undefined, data);
+    });
+  });
+};
+
+//
+// Return a thenable when the methods are called without a callback.
+//
+thenable(Tags, ['list', 'add', 'remove']);
+
+//
+// Expose the Tags API.
+//
+module.exports = Tags;
@@ -0,0 +1,147 @@
+'use strict';
+
+var debug = require('debug')('npmjs::tokens')
+  , thenable = require('../thenable')
+  , errors = require('../errors')
+  , url = require('url');
+
+/**
+ * The pathname of the tokens API of the registry.
+ *
+ * @type {String}
+ * @private
+ */
+var pathname = '-/npm/v1/tokens';
+
+/**
+ * Normalize an access token of the tokens API.
+ *
+ * @param {Object} data The token.
+ * @returns {Object}
+ * @api private
+ */
+function token(data) {
+  data = data || {};
+
+  return {
+    key: data.key,
+    token: data.token,
+    readonly: !!data.readonly,
+    automation: !!data.automation,
+    cidr: data.cidr_whitelist || [],
+    created: data.created,
+    updated: data.updated
+  };
+}
+
+/**
+ * Manage the access tokens of the account that we're authenticated as.
+ *
+ * @constructor
+ * @param {Registry} api Reference to the wrapping registry.
+ * @api private
+ */
+function Tokens(api) {
+  this.api = api;
+  this.send = api.send.bind(api);
+}
+
+/**
+ * List the access tokens of the account. The tokens themselves are truncated
+ * by the registry, the `key` identifies them.
+ *
+ * @param {Function} fn The callback.
+ * @api public
+ */
+Tokens.prototype.list = function list(fn) {
+  var tokens = this
+    , result = [];
+
+  (function page(path) {
+    tokens.send(path, {
+      cache: false
+    }, function fetched(err, data) {
+      data = Array.isArray(data) ? data[0] : data;
+      if (err) return fn(err);
+
+      Array.prototype.push.apply(result, ((data || {}).objects || []).map(token));
+
+      //
+      // The registry paginates the tokens, the next page is an absolute URL.
+      //
+      if (data && data.urls && data.urls.next) return page(url.parse(data.urls.next).path);
+      fn(undefined, result);
+    });
+  }(pathname));
+};
+
+/**
+ * Create a new access token. The registry requires the password of the account
+ * to do so. The following options are accepted:
+ *
+ * - readonly: Only allow the token to read from the registry.
+ * - cidr: IPv4 ranges, in CIDR notation, the token can be used from.
+ *
+ * @param {String} password The password of the account.
+ * @param {Object} options Optional restrictions of the token.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api public
+ */
+Tokens.prototype.create = function create(password, options, fn) {
+  if ('function' === typeof options) {
+    fn = options;
+    options = null;
+  }
+
+  options = options || {};
+
+  var cidr = [].concat(options.cidr || [])
+    , invalid;
+
+  invalid = cidr.filter(function filter(range) {
+    return !/^(\d{1,3}\.){3}\d{1,3}\/\d{1,2}$/.test(range);
+  })[0];
+
+  if (!password) return this.api.bail(fn, new errors.InvalidInput('Missing password'));
+  if (invalid) return this.api.bail(fn, new errors.InvalidInput('Invalid CIDR range '+ invalid));
+
+  debug('creating a %s token', options.readonly ? 'read-only' : 'publish');
+
+  return this.send(pathname, {
+    method: 'POST',
+    json: {
+      password: password,
+      readonly: !!options.readonly,
+      cidr_whitelist: cidr
+    }
+  }, fn).map(token);
+};
+
+/**
+ * Revoke an access token.
+ *
+ * @param {String} key The key of the token.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api public
+ */
+Tokens.prototype.revoke = function revoke(key, fn) {
+  if (!key) return this.api.bail(fn, new errors.InvalidInput('Missing token key'));
+
+  debug('revoking token %s', key);
+
+  return this.send([pathname, 'token', encodeURIComponent(key)], {
+    method: 'DELETE'
+  }, fn);
+};
+
+//
+// Return a thenable when the methods are called without a callback.
+//
+thenable(Tokens, ['create', 'revoke'], ['list']);
+
+//
+// Expose the Tokens API.
+//
+module.exports = Tokens;
@@ -1,6 +1,13 @@
 'use strict';
 
-var normalize = require('../normalize');
+var debug = require('debug')('npmjs::users')
+  , normalize = require('../normalize')
+  , thenable = require('../thenable')
+  , errors = require('../errors')
+  , npmrc = require('../npmrc')
+  , spec = require('../spec')
+  , url = require('url')
+  , os = require('os');
 
 /**
  * Access users based request information.
@@ -15,6 +22,56 @@ function Users(api) {
   this.view = api.view.bind(api);
 }
 
+/**
+ * Update the maintainers of a package. The package document is fetched so we
+ * can write the changed maintainers back using its `_rev`.
+ *
+ * @param {String} pkg The name of the package.
+ * @param {Function} change Receives and returns the maintainers of the package.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api private
+ */
+Users.prototype.maintainers = function maintainers(pkg, change, fn) {
+  pkg = spec.parse(pkg).name;
+
+  var registry = this.api.registry(pkg)
+    , users = this;
+
+  return this.send(spec.encode(pkg) +'?write=true', {
+    api: registry,
+    package: pkg,
+    mirrors: false,
+    cache: false
+  }, function current(err, data) {
+    data = Array.isArray(data) ? data[0] : data;
+    if (err) return fn(err);
+
+    var maintainers = change(data.maintainers || []);
+
+    //
+    // The change function returns an error when the maintainers cannot be
+    // changed or nothing when there is nothing to change.
+    //
+    if (maintainers instanceof Error) return fn(maintainers);
+    if (!maintainers) return fn(undefined, data.maintainers || []);
+
+    users.send(spec.encode(pkg) +'/-rev/'+ data._rev, {
+      method: 'PUT',
+      api: registry,
+      package: pkg,
+      json: {
+        _id: data._id,
+        _rev: data._rev,
+        maintainers: maintainers
+      }
+    }, function updated(err) {
+      if (err) return fn(errors.conflicted(err, pkg, registry, data._rev));
+      fn(undefined, maintainers);
+    });
+  });
+};
+
 /**
  * Add a user as maintainer of a package.
  *
@@ -25,9 +82,50 @@ function Users(api) {
  * @api public
  */
 Users.prototype.add = function add(name, pkg, fn) {
-  return this.send(name, {
-    method: 'PUT',
-    json: {}
+  var users = this;
+
+  return this.send('/-/user/org.couchdb.user:'+ encodeURIComponent(name), {
+    api: this.api.registry(pkg)
+  }, function profile(err, data) {
+    data = Array.isArray(data) ? data[0] : data;
+    if (err) return fn(err);
+
+    users.maintainers(pkg, function change(maintainers) {
+      var exists = maintainers.some(function some(maintainer) {
+        return maintainer.name === name;
+      });
+
+      if (exists) return;
+
+      debug('adding %s as maintainer of %s', name, pkg);
+      return maintainers.concat({ name: name, email: data.email });
+    }, fn);
+  });
+};
+
+/**
+ * Remove a user as maintainer of a package. The last maintainer of a package
+ * cannot be removed.
+ *
+ * @param {String} name The user's name who should no longer own the package.
+ * @param {String} pkg The module it should no longer own.
+ * @param {Function} fn The callback.
+ * @returns {Assign}
+ * @api public
+ */
+Users.prototype.remove = function remove(name, pkg, fn) {
+  return this.maintainers(pkg, function change(maintainers) {
+    var remaining = maintainers.filter(function filter(maintainer) {
+      return maintainer.name !== name;
+    });
+
+    if (remaining.length === maintainers.length) return;
+    if (!remaining.length) return new errors.InvalidInput('Cannot remove the last maintainer of '+ pkg, {
+      package: pkg
+    });
+
+    debug('removing %s as maintainer of %s', name, pkg);
+    return remaining;
   }, fn);
 };
 
@@ -46,14 +144,11 @@ Users.prototype.create = function create(username, email, password, fn) {
   username = (username || '').toString().trim();
   email = (email || '').toString().trim();
 
-  //
-  // @TODO this will break our Assign return flow, making chaining impossible.
-  //
-  if (!password) return fn(new Error('Missing password'));
-  if (!~password.indexOf(':')) return fn(new Error('Password cannot contain a `:`'));
-  if (!email) return fn(new Error('Missing email'));
-  if (!~email.indexOf('@')) return fn(new Error('Invalid email address'));
-  if (!username) return fn(new Error('Missing username'));
+  if (!password) return this.api.bail(fn, new errors.InvalidInput('Missing password'));
+  if (~password.indexOf(':')) return this.api.bail(fn, new errors.InvalidInput('Password cannot contain a `:`'));
+  if (!email) return this.api.bail(fn, new errors.InvalidInput('Missing email'));
+  if (!~email.indexOf('@')) return this.api.bail(fn, new errors.InvalidInput('Invalid email address'));
+  if (!username) return this.api.bail(fn, new errors.InvalidInput('Missing username'));
 
   return this.send('/-/user/org.couchdb.user:'+ encodeURIComponent(username), {
     method: 'PUT',
@@ -69,6 +164,85 @@ Users.prototype.create = function create(username, email, password, fn) {
   }, fn);
 };
 
+/**
+ * Log in using the web login flow of the registry. The registry returns the URL
+ * where the user logs in, which is given to the `open` option, and a URL that
+ * we poll until the login is completed. The token that we receive is used for
+ * the following requests to the registry. The following options are accepted:
+ *
+ * - open: Function that receives the URL where the user logs in, required.
+ * - registry: Registry we should log in to, defaults to our registry.
+ * - hostname: Name of this machine that is shown to the user.
+ * - interval: Milliseconds between the polls when the registry doesn't send
+ *   a `Retry-After` header, defaults to 1000.
+ * - timeout: Milliseconds we wait for the login, defaults to 5 minutes.
+ *
+ * @param {Object} options Configuration of the login.
+ * @param {Function} fn Completion callback.
+ * @returns {Assign}
+ * @api public
+ */
+Users.prototype.login = function login(options, fn) {
+  options = options || {};
+
+  var registry = options.registry || this.api.api
+    , interval = 'interval' in options ? options.interval : 1000
+    , timeout = 'timeout' in options ? options.timeout : 300000
+    , started = Date.now()
+    , users = this;
+
+  if ('function' !== typeof options.open) {
+    return this.api.bail(fn, new errors.InvalidInput('Missing open function'));
+  }
+
+  return this.send('-/v1/login', {
+    method: 'POST',
+    api: registry,
+    mirrors: false,
+    json: { hostname: options.hostname || os.hostname() }
+  }, function handshake(err, data) {
+    data = Array.isArray(data) ? data[0] : data;
+    if (err) return fn(err);
+
+    if (!data || !data.loginUrl || !data.doneUrl) {
+      return fn(new errors.RegistryError('The registry does not support web login', { url: registry }));
+    }
+
+    var done = url.parse(url.resolve(registry, data.doneUrl));
+
+    debug('waiting for the web login at %s', data.loginUrl);
+    options.open(data.loginUrl);
+
+    (function poll() {
+      var delay = interval;
+
+      users.send(done.path, {
+        api: done.protocol +'//'+ done.host +'/',
+        mirrors: false,
+        cache: false
+      }, function polled(err, data) {
+        data = Array.isArray(data) ? data[0] : data;
+        if (err) return fn(err);
+
+        if (data && data.token) {
+          users.api.credentials[npmrc.nerf(registry)] = npmrc.authorization(data.token);
+          return fn(undefined, { registry: registry, token: data.token });
+        }
+
+        if (Date.now() + delay - started > timeout) {
+          return fn(new errors.RegistryError('Timed out waiting for the web login', { url: registry }));
+        }
+
+        setTimeout(poll, delay);
+      }).on('headers', function received(headers) {
+        if (headers['retry-after'] && !isNaN(+headers['retry-after'])) {
+          delay = +headers['retry-after'] * 1000;
+        }
+      });
+    }());
+  });
+};
+
 /**
  * Update the user.
  *
@@ -153,11 +327,18 @@ Users.prototype.get = function get(username, fn) {
 /**
  * Sync ownership of npm modules with another account. This is useful if you
  * have one base owner of modules like a corporate account and you want to
- * on-board a new user.
+ * on-board a new user. The following options are accepted:
+ *
+ * - add: Add the target as owner, or remove it when false. Defaults to true.
+ * - packages: Only sync these packages instead of all packages of the source.
+ *
+ * The callback receives the result of every package, which contains the
+ * `name` of the package, the `action` and an optional `error`.
  *
  * @param {String} source The user's packages that needs to be synced.
  * @param {String} target The user who needs to have ownership.
  * @param {Object} options Configuration of the sync process.
+ * @param {Function} fn The callback.
  * @returns {Assign}
  * @api public
  */
@@ -171,15 +352,39 @@ Users.prototype.sync = function sync(source, target, options, fn) {
   options.add = 'add' in options ? options.add : true;
   options.packages = 'packages' in options ? options.packages : false;
 
-  var user = this;
+  var action = options.add ? 'add' : 'remove'
+    , user = this;
 
-  this.list(source, function (err, packages) {
-    user.api.async.each(packages, function (name, next) {
-      user.add(target, name, next);
-    }, fn);
+  return this.list(source, function listed(err, packages) {
+    if (err) return fn(err);
+
+    packages = (packages || []).map(function map(data) {
+      return data.name;
+    }).filter(function filter(name) {
+      return !options.packages || ~options.packages.indexOf(name);
+    });
+
+    debug('syncing %d packages of %s with %s', packages.length, source, target);
+
+    (function next(results) {
+      var name = packages.shift();
+      if (!name) return fn(undefined, results);
+
+      user[action](target, name, function done(err) {
+        results.push({ name: name, action: action, error: err });
+        next(results);
+      });
+    }([]));
   });
 };
 
+//
+// Return a thenable when the methods are called without a callback.
+//
+thenable(Users, [
+  'add', 'remove', 'create', 'login', 'update', 'get', 'sync'
+], ['list', 'starred']);
+
 //
 // Expose module.
 //
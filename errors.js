@@ -0,0 +1,193 @@
+'use strict';
+
+/**
+ * The base of all errors that are returned by the registry client. Additional
+ * details such as the `statusCode`, registry `url` and `package` name are added
+ * to the error instance.
+ *
+ * @constructor
+ * @param {String} message The error message.
+ * @param {Object} details Additional details about the error.
+ * @api public
+ */
+function RegistryError(message, details) {
+  details = details || {};
+
+  this.message = message;
+
+  Object.keys(details).forEach(function each(key) {
+    if (undefined !== details[key]) this[key] = details[key];
+  }, this);
+
+  if (Error.captureStackTrace) Error.captureStackTrace(this, this.constructor);
+}
+
+RegistryError.prototype = Object.create(Error.prototype);
+RegistryError.prototype.constructor = RegistryError;
+RegistryError.prototype.name = 'RegistryError';
+RegistryError.prototype.statusCode = 500;
+
+/**
+ * Create a new error class that inherits from the RegistryError, or from one of
+ * the other error classes.
+ *
+ * @param {String} name The name of the error class.
+ * @param {Number} statusCode The default status code of the error.
+ * @param {Function} Parent Optional error class we should inherit from.
+ * @returns {Function} The error class.
+ * @api private
+ */
+function define(name, statusCode, Parent) {
+  Parent = Parent || RegistryError;
+
+  function Failure(message, details) {
+    Parent.call(this, message, details);
+  }
+
+  Failure.prototype = Object.create(Parent.prototype);
+  Failure.prototype.constructor = Failure;
+  Failure.prototype.statusCode = statusCode;
+  Failure.prototype.name = name;
+
+  return Failure;
+}
+
+//
+// Expose the error classes.
+//
+exports.RegistryError = RegistryError;
+exports.InvalidInput = define('InvalidInput', 400);
+exports.Unauthorized = define('Unauthorized', 401);
+exports.OTPRequired = define('OTPRequired', 401, exports.Unauthorized);
+exports.Forbidden = define('Forbidden', 403);
+exports.NotFound = define('NotFound', 404);
+exports.Unpublished = define('Unpublished', 404, exports.NotFound);
+exports.Conflict = define('Conflict', 409);
+exports.RateLimited = define('RateLimited', 429);
+exports.IntegrityError = define('IntegrityError', 500);
+exports.MirrorsExhausted = define('MirrorsExhausted', 500);
+
+/**
+ * The error classes of the status codes that we receive from the registry.
+ *
+ * @type {Object}
+ * @private
+ */
+var codes = {
+  400: exports.InvalidInput,
+  401: exports.Unauthorized,
+  403: exports.Forbidden,
+  404: exports.NotFound,
+  409: exports.Conflict,
+  429: exports.RateLimited
+};
+
+/**
+ * Parse the `Retry-After` header in to the amount of seconds we should wait,
+ * it contains either the seconds or a HTTP date.
+ *
+ * @param {String} header The Retry-After header.
+ * @returns {Number|Undefined} Seconds.
+ * @api private
+ */
+function retry(header) {
+  if (!header) return;
+  if (!isNaN(+header)) return +header;
+
+  var date = new Date(header).getTime();
+  if (!isNaN(date)) return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Check if the registry asked for a one-time password. It does so using the
+ * `WWW-Authenticate` header or the body of the 401 response.
+ *
+ * @param {Object} headers The response headers.
+ * @param {String|Object} body The response body.
+ * @returns {Boolean}
+ * @api private
+ */
+function otp(headers, body) {
+  return /\botp\b/i.test(headers['www-authenticate'] || '')
+  || /one-time pass/i.test('string' === typeof body ? body : JSON.stringify(body || ''));
+}
+
+/**
+ * Transform the failures of our requests in to one of our error classes. mana
+ * forces the status code of every failure, except for 404 and 409, to 500 and
+ * moves on to the next mirror, so the actual status code is extracted from the
+ * error message. When none of the registries could answer our request we
+ * return a MirrorsExhausted error. Registries that ask for a one-time password
+ * result in an OTPRequired error. The following details are accepted:
+ *
+ * - url: The registry URL that we've requested.
+ * - package: The name of the package we've requested.
+ * - headers: The response headers, used for the `Retry-After` and
+ *   `WWW-Authenticate` headers.
+ *
+ * @param {Error} err The error we received.
+ * @param {Object} details Additional details about the request.
+ * @returns {Error}
+ * @api public
+ */
+exports.translate = function translate(err, details) {
+  if (!err || err instanceof RegistryError) return err;
+
+  details = details || {};
+
+  var statusCode = err.statusCode
+    , headers = details.headers || {}
+    , body = err.body
+    , Failure;
+
+  //
+  // When all mirrors failed the error only tells us that everything is down,
+  // the status codes are found in the errors of the mirrors.
+  //
+  if (!statusCode || statusCode >= 500) {
+    [err].concat((err.errors || []).slice().reverse()).some(function some(failure) {
+      var status = /status code: (\d{3})/.exec(failure.message || '');
+
+      if (status) {
+        statusCode = +status[1];
+        body = failure.body;
+      }
+
+      return !!status;
+    });
+  }
+
+  Failure = codes[statusCode] || exports.MirrorsExhausted;
+  if (401 === statusCode && otp(headers, body)) Failure = exports.OTPRequired;
+
+  return new Failure(err.message, {
+    statusCode: statusCode || 500,
+    url: details.url || err.url,
+    package: details.package,
+    retryAfter: exports.RateLimited === Failure ? retry(headers['retry-after']) : undefined,
+    errors: err.errors,
+    body: err.body,
+    data: err.data
+  });
+};
+
+/**
+ * Transform the revision conflicts of the CouchDB in to Conflict errors so
+ * they can be distinguished from other failures.
+ *
+ * @param {Error} err The error we received.
+ * @param {String} name The name of the package or document.
+ * @param {String} registry The registry we've updated.
+ * @param {String} rev The revision we've attempted to update.
+ * @returns {Error}
+ * @api public
+ */
+exports.conflicted = function conflicted(err, name, registry, rev) {
+  if (!err || 409 !== err.statusCode) return err;
+
+  return new exports.Conflict('Document update conflict for '+ name +' at revision '+ rev, {
+    package: name,
+    url: registry,
+    _rev: rev
+  });
+};
@@ -1,7 +1,50 @@
 'use strict';
 
 var debug = require('debug')('npmjs')
-  , mana = require('mana');
+  , Assign = require('assign')
+  , Mirrors = require('./mirrors')
+  , audit = require('./audit')
+  , normalize = require('./normalize')
+  , Changes = require('./changes')
+  , thenable = require('./thenable')
+  , errors = require('./errors')
+  , cache = require('./cache')
+  , npmrc = require('./npmrc')
+  , mana = require('mana')
+  , spec = require('./spec')
+  , path = require('path')
+  , url = require('url');
+
+/**
+ * Parse the directives of a `Cache-Control` header. The values of the
+ * directives are parsed as numbers.
+ *
+ * @param {String} header The Cache-Control header.
+ * @returns {Object} The directives.
+ * @api private
+ */
+function control(header) {
+  return (header || '').split(',').reduce(function reduce(memo, directive) {
+    var parts = directive.trim().toLowerCase().split('=');
+
+    if (parts[0]) memo[parts[0]] = +parts[1] || 0;
+    return memo;
+  }, {});
+}
+
+/**
+ * Check if the failure of a request means that the registry or mirror that
+ * answered it is unhealthy. mana reports every status code other than 404 and
+ * 409 as a 500, so we need the translated status code to tell server errors
+ * and network failures apart from answers like a 401 or 429.
+ *
+ * @param {Error} err The failure of the request.
+ * @returns {Boolean}
+ * @api private
+ */
+function unhealthy(err) {
+  return !!err && errors.translate(err).statusCode >= 500;
+}
 
 /**
  * A simple npm registry interface for data retrieval.
@@ -9,9 +52,20 @@ var debug = require('debug')('npmjs')
  * The following options are accepted:
  *
  * - registry: Registry URL we want to connect to.
+ * - scopes: Registry URL's for scoped packages, keyed by scope.
  * - user: Name of the account.
  * - password: Password of the account.
+ * - token: Bearer token of the account.
+ * - otp: One-time password, or a function that receives a callback for it,
+ *   used when the registry asks for one.
+ * - credentials: Credentials for other registries, keyed by registry URL.
+ * - npmrc: Location of a `.npmrc` file we should read, `true` for ~/.npmrc.
  * - mirrors: Alternate mirrors we should use when we receive an error.
+ * - threshold: Consecutive failures before a mirror is no longer used.
+ * - cooldown: Milliseconds before we try a failing mirror again.
+ * - cache: Cache store for responses, `true` for an in-memory store.
+ * - maxage: Milliseconds a cached response is used without revalidation.
+ * - stale: Milliseconds an expired response is used while it's revalidated.
  * - factor: Backoff factor.
  * - mindelay: Minimum backoff delay.
  * - maxdelay: Maximum backoff delay.
@@ -36,7 +90,24 @@ var Registry = mana.extend({
     //
     var mirrors = Object.keys(Registry.mirrors).map(function map(mirror) {
       return Registry.mirrors[mirror];
-    });
+    }), registry = this, authorization, rc;
+
+    //
+    // Read the registry, scopes and credentials from an `.npmrc` file. The
+    // supplied options always take precedence over the contents of the file.
+    //
+    if (options.npmrc) {
+      rc = npmrc.read('string' === typeof options.npmrc
+        ? options.npmrc
+        : path.join(process.env.HOME || process.env.USERPROFILE || '', '.npmrc')
+      );
+
+      debug('read configuration from npmrc file');
+
+      if (!('registry' in options) && rc.registry) options.registry = rc.registry;
+      options.scopes = this.merge(rc.scopes, options.scopes || {});
+      options.credentials = this.merge(rc.credentials, options.credentials || {});
+    }
 
     options.registry = 'registry' in options ? options.registry : Registry.mirrors.nodejitsu;
     options.stats = 'stats' in options ? options.stats : 'https://api.npmjs.org/';
@@ -46,6 +117,8 @@ var Registry = mana.extend({
     options.githulk = 'githulk' in options ? options.githulk : null;
     options.retries = 'retries' in options ? options.retries : 3;
     options.factor = 'factor' in options ? options.factor : 2;
+    options.scopes = 'scopes' in options ? options.scopes : {};
+    options.credentials = 'credentials' in options ? options.credentials : {};
 
     //
     // Make sure that the given registry is a string as we can only connect to
@@ -54,8 +127,8 @@ var Registry = mana.extend({
     //
     if ('string' !== typeof options.registry) options.registry = options.registry.url;
 
-    this.authorization = options.authorization;
-    this.mirrors = options.mirrors;
+    this.health = new Mirrors(options);
+    this.mirrors = options.mirrors.slice();
     this.mindelay = options.mindelay;
     this.maxdelay = options.maxdelay;
     this.statservice = options.stats;
@@ -64,21 +137,551 @@ var Registry = mana.extend({
     this.factor = options.factor;
     this.api = options.registry;
     this.proxy = options.proxy;
+    this.otp = options.otp;
+    this.credentials = {};
+    this.scopes = {};
+
+    //
+    // Normalize the scoped registries so they can be looked up by the scope
+    // of a package name, which always includes the `@` prefix.
+    //
+    Object.keys(options.scopes).forEach(function each(scope) {
+      var registry = options.scopes[scope];
+
+      if ('string' !== typeof registry) registry = registry.url;
+      if ('/' !== registry.charAt(registry.length - 1)) registry += '/';
+      if ('@' !== scope.charAt(0)) scope = '@'+ scope;
+
+      this.scopes[scope] = registry;
+    }, this);
+
+    //
+    // Pre-compile the authorization headers so we can do updates and deletes
+    // against the registries. Credentials are stored by the "nerf dart" of
+    // their registry so they are never send to a different host. Credentials
+    // without a registry belong to our default registry.
+    //
+    Object.keys(options.credentials).forEach(function each(registry) {
+      var authorization = npmrc.authorization(options.credentials[registry]);
+
+      if (!authorization) return;
+      this.credentials[npmrc.nerf(registry || this.api)] = authorization;
+    }, this);
+
+    if (Buffer.isBuffer(options.authorization)) {
+      options.authorization = 'Basic '+ options.authorization.toString('base64');
+    }
+
+    authorization = npmrc.authorization({
+      authorization: options.authorization,
+      password: options.password,
+      token: options.token,
+      user: options.user
+    });
+
+    if (authorization) {
+      debug('received authorization information for %s', this.api);
+      this.credentials[npmrc.nerf(this.api)] = authorization;
+    }
+
+    //
+    // Report the health of our registry and mirrors using the non-enumerable
+    // `npm.mirrors.status()` method so the mirrors remain a plain list of URLs.
+    //
+    Object.defineProperty(this.mirrors, 'status', {
+      value: function status() {
+        return registry.health.status([registry.api].concat(registry.mirrors));
+      }
+    });
+
+    //
+    // Setup our response cache. When the `maxage` or `stale` options are not
+    // supplied we follow the `Cache-Control` header of the responses.
+    //
+    if (options.cache) {
+      this.store = true === options.cache ? new cache.Memory() : options.cache;
+      this.maxage = options.maxage;
+      this.stale = options.stale;
+      this.pending = {};
+
+      //
+      // mana uses the `cache` to answer the `304 Not Modified` responses of
+      // our revalidation requests. We only expose the response that we're
+      // revalidating as we store the responses ourselves.
+      //
+      this.cache = {
+        get: function get(key) { return registry.pending[key]; },
+        set: function set(key, value) {}
+      };
+    }
+  },
+
+  /**
+   * Find the authorization header for the given registry URL. The credentials
+   * with the longest matching registry URL win.
+   *
+   * @param {String} uri The URL of the registry.
+   * @returns {String|Undefined} The authorization header.
+   * @api public
+   */
+  authorize: function authorize(uri) {
+    var nerf = npmrc.nerf(uri)
+      , match = '';
+
+    Object.keys(this.credentials).forEach(function each(registry) {
+      if (nerf.indexOf(registry) || registry.length <= match.length) return;
+      match = registry;
+    });
+
+    return match ? this.credentials[match] : undefined;
+  },
+
+  /**
+   * Query against a given API endpoint. We add the authorization header of the
+   * registry we're querying against before handing the request to mana. The
+   * `json` option is used as the request body and the `package` option is the
+   * name of the package that is added to our errors. Requests with the
+   * `mirrors` option set to `false` never fall back to our mirrors. Writes are
+   * retried with a one-time password when the registry asks for one.
+   *
+   * @returns {Assign}
+   * @api public
+   */
+  send: function send() {
+    var args = this.args(arguments)
+      , options = args.options || {}
+      , authorization = this.authorize(options.api || this.api)
+      , registry = this
+      , details = { url: options.api || this.api, package: options.package }
+      , method = (options.method || 'GET').toUpperCase()
+      , fn = args.fn
+      , assign
+      , json;
+
+    options.headers = options.headers || {};
+    delete options.package;
 
     //
-    // Pre-compile the basic authorization so we can do updates and deletes
-    // against the registries.
+    // Transform the failures in to our error classes before they reach the
+    // callback.
     //
-    if (!this.authorization && options.user && options.password) {
-      debug('received authorization information for %s', options.user);
-      this.authorization = new Buffer(
-        options.user +':'+ options.password
-      ).toString('base64');
+    if (fn) args.fn = function failed(err) {
+      if (err) arguments[0] = registry.failure(err, details);
+      return fn.apply(this, arguments);
+    };
+
+    if (authorization && !('Authorization' in options.headers)) {
+      options.headers.Authorization = authorization;
+    }
+
+    //
+    // mana only sends a request body for the `params` it receives, but it
+    // replaces the params with the request options of the same name. The body
+    // is wrapped in an object that serializes to the given value so documents
+    // with keys like `method` or `headers` are always send as they are.
+    //
+    if ('json' in options) {
+      json = options.json;
+      options.params = { toJSON: function toJSON() { return json; } };
+
+      delete options.json;
+    }
+
+    if (
+         this.store
+      && 'GET' === method
+      && false !== options.cache
+      && !options.headers.Authorization
+      && !options.assign
+      && !options.next
+    ) assign = this.cached(args.str || args.array.filter(Boolean).join('/'), options, args.fn);
+    else if (
+         this.otp
+      && 'GET' !== method
+      && 'HEAD' !== method
+      && !options.assign
+      && !options.next
+    ) assign = this.challenge(args.str || args.array, options, args.fn);
+    else assign = this.dispatch(args.str || args.array, options, args.fn);
+
+    return assign.on('headers', function received(headers) {
+      details.headers = headers;
+    });
+  },
+
+  /**
+   * Transform the failure of a request in to one of our error classes. The
+   * document of an unpublished package is returned with a 404 status code.
+   *
+   * @param {Error} err The error we received.
+   * @param {Object} details The registry `url`, `package` and `headers`.
+   * @returns {Error}
+   * @api private
+   */
+  failure: function failure(err, details) {
+    var data = err.data;
+
+    if (404 === err.statusCode && 'object' === this.type(data) && (data.time || {}).unpublished) {
+      err = normalize.packages(data).error;
+      err.url = details.url;
+
+      return err;
+    }
+
+    return errors.translate(err, details);
+  },
+
+  /**
+   * Answer a GET request using our cache. Fresh responses are returned without
+   * a request, expired responses are revalidated using the `ETag` and
+   * `Last-Modified` headers. When all mirrors are down we return the cached
+   * response, even if it's expired. Authorized requests never use the cache
+   * as their responses can be private.
+   *
+   * @param {String} pathname The pathname we want to request.
+   * @param {Object} options The options for the request.
+   * @param {Function} fn The callback.
+   * @returns {Assign}
+   * @api private
+   */
+  cached: function cached(pathname, options, fn) {
+    var key = url.resolve(options.api || this.api, pathname)
+      , assign = new Assign(this, fn)
+      , registry = this;
+
+    (
+      global.setImmediate
+      ? global.setImmediate
+      : global.setTimeout
+    )(function immediate() {
+      registry.store.get(key, function found(err, entry) {
+        if (err || 'object' !== registry.type(entry)) entry = undefined;
+
+        var age = entry ? Date.now() - entry.stored : 0;
+
+        if (entry && age < entry.maxage) {
+          debug('using fresh cached response for %s', key);
+          return assign.write(entry.data, { end: true });
+        }
+
+        if (entry && age < entry.maxage + entry.stale) {
+          debug('using stale cached response for %s while revalidating', key);
+          assign.write(entry.data, { end: true });
+
+          return registry.revalidate(key, pathname, options, entry, function nope() {});
+        }
+
+        registry.revalidate(key, pathname, options, entry, function done(err, data) {
+          if (!err) return assign.write(data, { end: true });
+
+          if (entry && unhealthy(err)) {
+            debug('all mirrors failed, using stale cached response for %s', key);
+            return assign.write(entry.data, { end: true });
+          }
+
+          assign.destroy(err);
+        }).on('headers', function received(headers) {
+          assign.emit('headers', headers);
+        });
+      });
+    });
+
+    return assign;
+  },
+
+  /**
+   * Request a response and store it in our cache. When we have a cached
+   * response we turn the request in to a conditional request.
+   *
+   * @param {String} key The cache key of the response.
+   * @param {String} pathname The pathname we want to request.
+   * @param {Object} options The options for the request.
+   * @param {Object} entry The cached response.
+   * @param {Function} fn The callback.
+   * @api private
+   */
+  revalidate: function revalidate(key, pathname, options, entry, fn) {
+    var headers = {}
+      , registry = this
+      , assign;
+
+    options = this.merge({}, options);
+    options.headers = this.merge({}, options.headers || {});
+
+    if (entry) {
+      if (entry.etag) options.headers['If-None-Match'] = entry.etag;
+      if (entry.modified) options.headers['If-Modified-Since'] = entry.modified;
+
+      this.pending[pathname] = { etag: entry.etag, data: entry.data };
+    }
+
+    assign = options.assign = new Assign(this, function requested(err, data) {
+      if (entry && registry.pending[pathname] && registry.pending[pathname].data === entry.data) {
+        delete registry.pending[pathname];
+      }
+
+      if (err) return fn(err);
+
+      var directives = control(headers['cache-control']);
+
+      if (!('no-store' in directives)) registry.store.set(key, {
+        data: data,
+        etag: headers.etag || entry && entry.etag,
+        modified: headers['last-modified'] || entry && entry.modified,
+        stored: Date.now(),
+        maxage: 'number' === typeof registry.maxage ? registry.maxage : (directives['max-age'] || 0) * 1000,
+        stale: 'number' === typeof registry.stale ? registry.stale : (directives['stale-while-revalidate'] || 0) * 1000
+      }, function stored(err) {
+        if (err) debug('failed to cache the response for %s: %s', key, err.message);
+      });
+
+      fn(undefined, data);
+    });
+
+    assign.on('headers', function received(data) {
+      headers = data;
+    });
+
+    return this.dispatch(pathname, options);
+  },
+
+  /**
+   * Send a write request and send it again with a one-time password when the
+   * registry asks for one. The `otp` option is either the password or
+   * a function that receives a callback for it, so people can prompt for it.
+   * We only ask for a password once per request.
+   *
+   * @param {String|Array} pathname The pathname we want to request.
+   * @param {Object} options The options for the request.
+   * @param {Function} fn The callback.
+   * @returns {Assign}
+   * @api private
+   */
+  challenge: function challenge(pathname, options, fn) {
+    var again = this.merge({}, options)
+      , assign = new Assign(this, fn)
+      , otp = this.otp
+      , registry = this
+      , headers = {};
+
+    again.headers = this.merge({}, options.headers || {});
+
+    /**
+     * Write the response of a request to the assign that we've returned.
+     *
+     * @param {Error} err Optional error argument.
+     * @param {Array} rows The rows of the response.
+     * @api private
+     */
+    function answered(err, rows) {
+      if (err) return assign.destroy(err);
+      assign.write(rows, { end: true });
+    }
+
+    /**
+     * Forward the response headers so they end up in our errors.
+     *
+     * @param {Object} data The response headers.
+     * @api private
+     */
+    function received(data) {
+      headers = data;
+      assign.emit('headers', data);
+    }
+
+    options.assign = new Assign(this, function challenged(err, rows) {
+      if (!err || !(registry.failure(err, { headers: headers }) instanceof errors.OTPRequired)) {
+        return answered(err, rows);
+      }
+
+      debug('the registry asked for a one-time password');
+
+      if ('function' !== typeof otp) otp = function provided(next) {
+        next(undefined, registry.otp);
+      };
+
+      otp(function password(failure, code) {
+        if (failure || !code) return assign.destroy(failure || err);
+
+        again.headers['npm-otp'] = code;
+        again.assign = new Assign(registry, answered);
+
+        registry.dispatch(pathname, again).on('headers', received);
+      });
+    });
+
+    this.dispatch(pathname, options).on('headers', received);
+    return assign;
+  },
+
+  /**
+   * Hand the request to mana while we keep track of the health of the mirror
+   * that answers it. Every request gets its own context so our `downgrade`
+   * method can tell us which mirror we're using. Package documents that are
+   * older than the revision we've received from our registry are not used,
+   * we request them again without the mirror that returned them.
+   *
+   * @param {String|Array} pathname The pathname we want to request.
+   * @param {Object} options The options for the request.
+   * @param {Function} fn The callback.
+   * @param {Array} excluded Mirrors that returned outdated documents.
+   * @returns {Assign}
+   * @api private
+   */
+  dispatch: function dispatch(pathname, options, fn, excluded) {
+    var again = this.merge({}, options)
+      , primary = options.api || this.api
+      , context = Object.create(this)
+      , health = this.health
+      , registry = this
+      , assign
+      , done;
+
+    again.headers = this.merge({}, options.headers || {});
+    delete again.assign;
+
+    context.anonymous = true;
+    context.attempt = null;
+    context.excluded = excluded || [];
+    context.pinned = false === options.mirrors;
+
+    /**
+     * Record the outcome of the request for the mirror that handled it. Only
+     * server errors and network failures count against the mirror, the other
+     * errors are valid answers of a healthy mirror.
+     *
+     * @param {Error} err Optional error argument.
+     * @api private
+     */
+    function settle(err) {
+      var attempt = context.attempt;
+
+      ['remaining', 'ratereset', 'ratelimit'].forEach(function each(key) {
+        if (context.hasOwnProperty(key)) registry[key] = context[key];
+      });
+
+      if (!attempt) return;
+      context.attempt = null;
+
+      if (unhealthy(err)) health.failure(attempt.url, err);
+      else health.success(attempt.url, Date.now() - attempt.started);
     }
 
-    if (Buffer.isBuffer(this.authorization)) {
-      this.authorization = 'Basic '+ this.authorization;
+    assign = options.assign = options.assign || new Assign(context);
+    done = assign.fn;
+    assign.fn = function settled(err) {
+      settle(err);
+      return done.apply(this, arguments);
+    };
+
+    return mana.prototype.send.call(context, pathname, options, fn).async.map(function fresh(data, next) {
+      var attempt = context.attempt;
+
+      if (!attempt || !health.stale(primary, attempt.url, data)) return next(undefined, data);
+
+      context.attempt = null;
+      health.failure(attempt.url, new Error('Received an outdated revision of '+ (data._id || data.name)));
+
+      //
+      // The retry needs its own `Assign` as mana would otherwise queue it
+      // behind the request that is still waiting for this document.
+      //
+      again.assign = new Assign(registry, function retried(err, rows) {
+        if (err) return next(err);
+        next(undefined, Array.isArray(rows) ? rows[0] : rows);
+      });
+
+      registry.dispatch(pathname, again, undefined, context.excluded.concat(attempt.url));
+    });
+  },
+
+  /**
+   * Find the registry that should be used for the given package. Scoped
+   * packages are routed to the registry of their scope when one is configured.
+   *
+   * @param {String} name The name of the package.
+   * @returns {String} URL of the registry.
+   * @api public
+   */
+  registry: function registry(name) {
+    var scope = spec.parse(name).scope;
+
+    return scope && scope in this.scopes ? this.scopes[scope] : this.api;
+  },
+
+  /**
+   * Downgrade to our mirrors when the registry is down. Our mirrors only
+   * replicate the public registry so the registries of our scoped packages
+   * should never fall back to them. The same goes for registries that we've
+   * received credentials for, as we don't want to leak them to our mirrors,
+   * and for requests that should only be answered by the registry itself.
+   *
+   * The healthy mirrors are tried first, fastest first, and every mirror that
+   * we move away from because of a server error or network failure is
+   * recorded as a failure.
+   *
+   * @param {Array} mirrors The list of mirrors we can query against.
+   * @param {Function} fn The callback.
+   * @api private
+   */
+  downgrade: function downgrade(mirrors, fn) {
+    var excluded = this.excluded || []
+      , health = this.health
+      , context = this
+      , attempt;
+
+    var scoped = Object.keys(this.scopes).some(function some(scope) {
+      return this.scopes[scope] === mirrors[0];
+    }, this);
+
+    if (scoped || this.pinned || this.authorize(mirrors[0])) mirrors = mirrors.slice(0, 1);
+
+    mirrors = health.order(mirrors).filter(function filter(mirror) {
+      return !~excluded.indexOf(mirror);
+    });
+
+    return mana.prototype.downgrade.call(this, mirrors, function downgraded(err, root, next, failures) {
+      var failure = failures[failures.length - 1];
+
+      if (attempt && unhealthy(failure)) health.failure(attempt.url, failure);
+      else if (attempt) health.success(attempt.url, Date.now() - attempt.started);
+
+      attempt = err ? null : { url: root, started: Date.now() };
+      if (context.hasOwnProperty('attempt')) context.attempt = attempt;
+
+      return fn.apply(this, arguments);
+    });
+  },
+
+  /**
+   * Follow the `_changes` feed of the registry. It reconnects using the same
+   * back off settings as our requests.
+   *
+   * @param {Object} options Configuration of the follower.
+   * @returns {Changes}
+   * @api public
+   */
+  changes: function changes(options) {
+    return new Changes(this, options);
+  },
+
+  /**
+   * Audit the dependencies of a package.json, a lockfile or a resolved tree of
+   * `Packages#tree` against the security advisories of the registry. The
+   * callback receives the vulnerable packages grouped by severity.
+   *
+   * @param {Object} input The package.json, lockfile or resolved tree.
+   * @param {Object} options Optional configuration.
+   * @param {Function} fn The callback.
+   * @api public
+   */
+  audit: function audits(input, options, fn) {
+    if ('function' === typeof options) {
+      fn = options;
+      options = null;
     }
+
+    return audit(this, input, options, fn);
   },
 
   /**
@@ -110,7 +713,57 @@ Registry.mirrors = {
   cnpmjs:       'http://registry.cnpmjs.org/'
 };
 
+//
+// Return a thenable when the audit is called without a callback.
+//
+thenable(Registry, ['audit']);
+
+//
+// Expose the error classes so people can check the type of failures.
+//
+Registry.errors = require('./errors');
+
+//
+// Expose the cache stores so they can be configured.
+//
+Registry.cache = cache;
+
 //
 // Drink our own potion.
 //
 Registry.drink(module);
+
+//
+// mana reserves the `tokens` property for rolling OAuth tokens, which we don't
+// use. Ignore the empty list that mana assigns so `npm.tokens` remains our
+// tokens endpoint.
+//
+Object.defineProperty(Registry.prototype, 'tokens', {
+  configurable: true,
+  get: function get() {
+    return Object.defineProperty(this, 'tokens', {
+      value: new Registry.Tokens(this)
+    }).tokens;
+  },
+  set: function set() {}
+});
+
+//
+// Expose the authorization header of our registry as `npm.authorization`. We
+// add the headers of the registries ourselves in `send`, the request contexts
+// that `dispatch` hands to mana are anonymous as mana would otherwise send our
+// header to every registry and mirror that we query.
+//
+Object.defineProperty(Registry.prototype, 'authorization', {
+  configurable: true,
+  get: function get() {
+    if (this.anonymous) return undefined;
+    return this.authorize(this.api);
+  },
+  set: function set(authorization) {
+    var nerf = npmrc.nerf(this.api);
+
+    if (authorization) this.credentials[nerf] = authorization;
+    else delete this.credentials[nerf];
+  }
+});
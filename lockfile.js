@@ -0,0 +1,363 @@
+'use strict';
+
+var errors = require('./errors');
+
+/**
+ * The different types of dependencies that can be stored in a release.
+ *
+ * @type {Array}
+ * @private
+ */
+var types = ['dependencies', 'optionalDependencies', 'peerDependencies', 'devDependencies'];
+
+/**
+ * Generate the Subresource Integrity string of a release. Older releases only
+ * have a hex encoded sha1 `shasum` which we transform to the SRI format.
+ *
+ * @param {Object} dist The dist information of the release.
+ * @returns {String|Undefined} The integrity.
+ * @api private
+ */
+function integrity(dist) {
+  dist = dist || {};
+
+  if (dist.integrity) return dist.integrity;
+  if (dist.shasum) return 'sha1-'+ new Buffer(dist.shasum, 'hex').toString('base64');
+}
+
+/**
+ * Return all locations in the tree that are visible to the package at the given
+ * location, the location itself first and the root of the tree last.
+ *
+ * @param {String} location The location of the package, `''` for the root.
+ * @returns {Array} The locations.
+ * @api private
+ */
+function parents(location) {
+  var result = [];
+
+  while (location) {
+    result.push(location);
+    location = location.slice(0, Math.max(location.lastIndexOf('/node_modules/'), 0));
+  }
+
+  result.push('');
+  return result;
+}
+
+/**
+ * Return the location of a package when it's installed in the given location.
+ *
+ * @param {String} location The location of the parent, `''` for the root.
+ * @param {String} name The name of the package.
+ * @returns {String} The location.
+ * @api private
+ */
+function join(location, name) {
+  return (location ? location +'/' : '') +'node_modules/'+ name;
+}
+
+/**
+ * Find all locations that can be reached from the root of the tree.
+ *
+ * @param {Object} edges The locations of the dependencies, by type.
+ * @param {Array} root The types of dependencies we follow for the root.
+ * @param {Array} follow The types of dependencies we follow for the packages.
+ * @returns {Object} The reachable locations.
+ * @api private
+ */
+function reach(edges, root, follow) {
+  var seen = Object.create(null)
+    , queue = [''];
+
+  while (queue.length) {
+    var location = queue.shift();
+
+    (location ? follow : root).forEach(function each(type) {
+      var dependencies = edges[location][type];
+
+      Object.keys(dependencies).forEach(function each(name) {
+        var child = dependencies[name];
+
+        if (child in seen) return;
+
+        seen[child] = true;
+        queue.push(child);
+      });
+    });
+  }
+
+  return seen;
+}
+
+/**
+ * Check if installing a package in the given location hides a different
+ * version of it from the packages below that location that already depend on
+ * a version that is installed higher up.
+ *
+ * @param {Object} placed The placed packages, by location.
+ * @param {Object} edges The locations of the dependencies, by type.
+ * @param {String} location The location of the parent, `''` for the root.
+ * @param {String} name The name of the package.
+ * @param {String} key The package we want to install.
+ * @returns {Boolean}
+ * @api private
+ */
+function hides(placed, edges, location, name, key) {
+  var target = join(location, name)
+    , prefix = location ? location +'/' : '';
+
+  return Object.keys(edges).some(function some(dependant) {
+    if (dependant !== location && dependant.slice(0, prefix.length) !== prefix) return false;
+
+    return types.some(function some(type) {
+      var resolved = (edges[dependant][type] || {})[name];
+
+      return resolved && resolved.length < target.length && placed[resolved] !== key;
+    });
+  });
+}
+
+/**
+ * Place all packages of a resolved tree in a `node_modules` structure. Packages
+ * are hoisted as high as possible, they are only nested when a different
+ * version of the package is already visible to their parent or when they would
+ * hide a different version from the packages that depend on it.
+ *
+ * @param {Object} tree The resolved tree of `Packages#tree`.
+ * @returns {Object} The `placed` packages and their `edges`, by location.
+ * @api private
+ */
+function place(tree) {
+  var placed = { '': tree.root }
+    , edges = Object.create(null)
+    , queue = [''];
+
+  while (queue.length) {
+    var location = queue.shift()
+      , node = tree.packages[placed[location]];
+
+    edges[location] = {};
+
+    types.forEach(function each(type) {
+      edges[location][type] = {};
+
+      Object.keys(node[type] || {}).sort().forEach(function each(name) {
+        var key = node[type][name]
+          , visible = parents(location)
+          , target = location
+          , found, i;
+
+        if (!key) return;
+
+        for (i = 0; i < visible.length; i++) {
+          found = placed[join(visible[i], name)];
+
+          if (found === key) {
+            edges[location][type][name] = join(visible[i], name);
+            return;
+          }
+
+          if (found || hides(placed, edges, visible[i], name, key)) break;
+          target = visible[i];
+        }
+
+        target = join(target, name);
+        edges[location][type][name] = target;
+        placed[target] = key;
+        queue.push(target);
+      });
+    });
+  }
+
+  return { placed: placed, edges: edges };
+}
+
+/**
+ * Extract the dependency ranges of a given type from a resolved package.
+ *
+ * @param {Object} node The package in the resolved tree.
+ * @param {String} type The type of dependencies.
+ * @returns {Object|Undefined} The ranges, keyed by name.
+ * @api private
+ */
+function ranges(node, type) {
+  var names = Object.keys(node[type] || {}).sort();
+
+  if (!names.length) return;
+
+  return names.reduce(function reduce(memo, name) {
+    memo[name] = node.ranges[name];
+    return memo;
+  }, {});
+}
+
+/**
+ * Generate the legacy `dependencies` section of version 1 and 2 lockfiles
+ * which nests the packages like they are installed on disk.
+ *
+ * @param {Object} packages The `packages` section of the lockfile.
+ * @returns {Object} The legacy dependencies.
+ * @api private
+ */
+function legacy(packages) {
+  var result = {};
+
+  Object.keys(packages).forEach(function each(location) {
+    if (!location) return;
+
+    var names = location.slice('node_modules/'.length).split('/node_modules/')
+      , entry = packages[location]
+      , parent = result
+      , dependency = { version: entry.version }
+      , requires = {};
+
+    names.slice(0, -1).forEach(function each(name) {
+      parent = parent[name].dependencies = parent[name].dependencies || {};
+    });
+
+    if (entry.resolved) dependency.resolved = entry.resolved;
+    if (entry.integrity) dependency.integrity = entry.integrity;
+    if (entry.dev) dependency.dev = true;
+    if (entry.optional) dependency.optional = true;
+
+    ['dependencies', 'optionalDependencies'].forEach(function each(type) {
+      Object.keys(entry[type] || {}).forEach(function each(name) {
+        requires[name] = entry[type][name];
+      });
+    });
+
+    if (Object.keys(requires).length) dependency.requires = requires;
+    parent[names[names.length - 1]] = dependency;
+  });
+
+  return result;
+}
+
+/**
+ * Find the location of the package that node would load when the package at
+ * the given location requires it.
+ *
+ * @param {Object} packages The `packages` section of the lockfile.
+ * @param {String} location The location of the parent, `''` for the root.
+ * @param {String} name The name of the package.
+ * @returns {String|Undefined} The location.
+ * @api private
+ */
+function lookup(packages, location, name) {
+  var visible = parents(location)
+    , i;
+
+  for (i = 0; i < visible.length; i++) {
+    if (join(visible[i], name) in packages) return join(visible[i], name);
+  }
+}
+
+/**
+ * Walk the dependencies of a version 2 or 3 lockfile from the root. Every
+ * installed package is returned with its `location`, `name`, `version`, if
+ * it's a `dev` dependency and the dependency `paths` that lead to it. A path
+ * is an array of package names, starting with a dependency of the root.
+ *
+ * @param {Object} lock The lockfile.
+ * @returns {Array} The installed packages.
+ * @api public
+ */
+exports.walk = function walk(lock) {
+  var packages = lock.packages || {}
+    , found = Object.create(null)
+    , queue = [{ location: '', path: [] }];
+
+  while (queue.length) {
+    var current = queue.shift()
+      , entry = packages[current.location];
+
+    types.forEach(function each(type) {
+      if ('devDependencies' === type && current.location) return;
+
+      Object.keys(entry[type] || {}).forEach(function each(name) {
+        var location = lookup(packages, current.location, name)
+          , path = current.path.concat(name);
+
+        if (!location || ~current.path.indexOf(name)) return;
+        if (location in found) return found[location].paths.push(path);
+
+        found[location] = {
+          location: location,
+          name: packages[location].name || name,
+          version: packages[location].version,
+          dev: !!packages[location].dev,
+          paths: [path]
+        };
+
+        queue.push({ location: location, path: path });
+      });
+    });
+  }
+
+  return Object.keys(found).sort().map(function map(location) {
+    return found[location];
+  });
+};
+
+/**
+ * Create a `package-lock.json` or `npm-shrinkwrap.json` compatible document
+ * from a resolved dependency tree. The following options are accepted:
+ *
+ * - lockfileVersion: Version of the lockfile format, 2 or 3, defaults to 3.
+ *
+ * @param {Object} tree The resolved tree of `Packages#tree`.
+ * @param {Object} manifest The package.json of the root package.
+ * @param {Object} options Optional configuration.
+ * @returns {Object} The lockfile.
+ * @api public
+ */
+exports.create = function create(tree, manifest, options) {
+  options = options || {};
+
+  var version = 'lockfileVersion' in options ? +options.lockfileVersion : 3
+    , layout = place(tree)
+    , production = reach(layout.edges, ['dependencies', 'peerDependencies'], ['dependencies', 'peerDependencies'])
+    , runtime = reach(layout.edges, ['dependencies', 'optionalDependencies', 'peerDependencies'], types.slice(0, 3))
+    , root = { name: manifest.name || '', version: manifest.version }
+    , lockfile;
+
+  if (version !== 2 && version !== 3) {
+    throw new errors.InvalidInput('Unsupported lockfileVersion '+ options.lockfileVersion);
+  }
+
+  types.forEach(function each(type) {
+    if (manifest[type] && Object.keys(manifest[type]).length) root[type] = manifest[type];
+  });
+
+  lockfile = {
+    name: root.name,
+    version: manifest.version,
+    lockfileVersion: version,
+    requires: true,
+    packages: { '': root }
+  };
+
+  Object.keys(layout.placed).sort().forEach(function each(location) {
+    if (!location) return;
+
+    var node = tree.packages[layout.placed[location]]
+      , entry = { version: node.version };
+
+    if (node.dist.tarball) entry.resolved = node.dist.tarball;
+    if (integrity(node.dist)) entry.integrity = integrity(node.dist);
+    if (!(location in runtime)) entry.dev = true;
+    else if (!(location in production)) entry.optional = true;
+
+    types.slice(0, 3).forEach(function each(type) {
+      var dependencies = ranges(node, type);
+      if (dependencies) entry[type] = dependencies;
+    });
+
+    lockfile.packages[location] = entry;
+  });
+
+  if (version === 2) lockfile.dependencies = legacy(lockfile.packages);
+
+  return lockfile;
+};
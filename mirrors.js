@@ -0,0 +1,268 @@
+'use strict';
+
+var debug = require('debug')('npmjs::mirrors');
+
+/**
+ * The weight of a new measurement in the moving averages of the latency and
+ * error rate.
+ *
+ * @type {Number}
+ * @private
+ */
+var weight = 0.2;
+
+/**
+ * Calculate the exponential moving average.
+ *
+ * @param {Number} average The current average, undefined if we have none.
+ * @param {Number} value The new measurement.
+ * @returns {Number} The new average.
+ * @api private
+ */
+function ewma(average, value) {
+  if ('number' !== typeof average) return value;
+  return average + weight * (value - average);
+}
+
+/**
+ * Extract the revision of a package document. The generation of the CouchDB
+ * `_rev` is used when we have one, otherwise we use the modification date.
+ *
+ * @param {Object} data The package document.
+ * @returns {Object|Undefined} The `rev` generation and `modified` time.
+ * @api private
+ */
+function revision(data) {
+  if ('object' !== typeof data || !data || !('versions' in data)) return;
+
+  var modified = data.modified || (data.time || {}).modified
+    , rev = parseInt((data._rev || '').split('-')[0], 10);
+
+  modified = modified ? new Date(modified).getTime() : NaN;
+
+  if (isNaN(rev) && isNaN(modified)) return;
+  return { rev: rev, modified: modified };
+}
+
+/**
+ * Compare two revisions of the same document.
+ *
+ * @param {Object} a The revision.
+ * @param {Object} b The revision it should be compared with.
+ * @returns {Number} Negative when `a` is older than `b`.
+ * @api private
+ */
+function compare(a, b) {
+  if (!isNaN(a.rev) && !isNaN(b.rev)) return a.rev - b.rev;
+  if (!isNaN(a.modified) && !isNaN(b.modified)) return a.modified - b.modified;
+
+  return 0;
+}
+
+/**
+ * Track the health of the registry and its mirrors. Mirrors that keep failing
+ * are skipped, their circuit is opened, until the cooldown has passed. The
+ * following options are accepted:
+ *
+ * - threshold: Consecutive failures before the circuit opens, defaults to 3.
+ * - cooldown: Milliseconds before we try an open circuit again, defaults to 30000.
+ * - revisions: Amount of package revisions we remember, defaults to 1000.
+ *
+ * @constructor
+ * @param {Object} options Configuration.
+ * @api private
+ */
+function Mirrors(options) {
+  options = options || {};
+
+  this.threshold = 'threshold' in options ? options.threshold : 3;
+  this.cooldown = 'cooldown' in options ? options.cooldown : 30000;
+  this.max = 'revisions' in options ? options.revisions : 1000;
+  this.health = Object.create(null);      // Health of every mirror by URL.
+  this.revisions = Object.create(null);   // Latest revision of the documents.
+  this.documents = [];                    // Order in which they were stored.
+}
+
+/**
+ * Get the health of a mirror.
+ *
+ * @param {String} url The URL of the mirror.
+ * @returns {Object}
+ * @api private
+ */
+Mirrors.prototype.get = function get(url) {
+  return this.health[url] || (this.health[url] = {
+    url: url,
+    requests: 0,
+    failures: 0,
+    consecutive: 0,
+    latency: undefined,
+    errorRate: 0,
+    lastFailure: undefined,
+    lastError: undefined,
+    opened: 0
+  });
+};
+
+/**
+ * The state of the circuit of a mirror. An open circuit becomes half-open
+ * once the cooldown has passed so the next request can test the mirror.
+ *
+ * @param {String} url The URL of the mirror.
+ * @returns {String} `closed`, `open` or `half-open`.
+ * @api public
+ */
+Mirrors.prototype.state = function state(url) {
+  var health = this.get(url);
+
+  if (!health.opened) return 'closed';
+  return Date.now() - health.opened < this.cooldown ? 'open' : 'half-open';
+};
+
+/**
+ * Order the mirrors for a request. The first mirror is our registry which we
+ * always try first when it's healthy, the other healthy mirrors are sorted by
+ * their latency. Mirrors with an open circuit are skipped unless none of the
+ * mirrors is healthy.
+ *
+ * @param {Array} mirrors The URLs of the mirrors, starting with the registry.
+ * @returns {Array} The URLs in the order they should be tried.
+ * @api public
+ */
+Mirrors.prototype.order = function order(mirrors) {
+  var primary = mirrors[0]
+    , tracker = this
+    , available;
+
+  available = mirrors.filter(function filter(url, index) {
+    return mirrors.indexOf(url) === index && 'open' !== tracker.state(url);
+  });
+
+  if (!available.length) return mirrors;
+
+  return available.filter(function filter(url) {
+    return url !== primary;
+  }).map(function map(url, index) {
+    return { url: url, index: index, latency: tracker.get(url).latency };
+  }).sort(function sort(a, b) {
+    var x = 'number' === typeof a.latency ? a.latency : Infinity
+      , y = 'number' === typeof b.latency ? b.latency : Infinity;
+
+    return x === y ? a.index - b.index : x - y;
+  }).reduce(function reduce(memo, mirror) {
+    memo.push(mirror.url);
+    return memo;
+  }, available[0] === primary ? [primary] : []);
+};
+
+/**
+ * A mirror successfully answered our request.
+ *
+ * @param {String} url The URL of the mirror.
+ * @param {Number} latency Milliseconds it took to respond.
+ * @api public
+ */
+Mirrors.prototype.success = function success(url, latency) {
+  var health = this.get(url);
+
+  health.requests++;
+  health.consecutive = 0;
+  health.opened = 0;
+  health.latency = ewma(health.latency, latency);
+  health.errorRate = ewma(health.errorRate, 0);
+};
+
+/**
+ * A mirror failed to answer our request. The circuit is opened when it failed
+ * too many times in a row, or when it failed the test of a half-open circuit.
+ *
+ * @param {String} url The URL of the mirror.
+ * @param {Error} err The reason of the failure.
+ * @api public
+ */
+Mirrors.prototype.failure = function failure(url, err) {
+  var health = this.get(url)
+    , state = this.state(url);
+
+  health.requests++;
+  health.failures++;
+  health.consecutive++;
+  health.errorRate = ewma(health.errorRate, 1);
+  health.lastFailure = new Date();
+  health.lastError = err && err.message;
+
+  if ('half-open' === state || health.consecutive >= this.threshold) {
+    debug('opening the circuit of %s after %d failures', url, health.consecutive);
+    health.opened = Date.now();
+  }
+};
+
+/**
+ * Check if a package document that we've received from a mirror is older than
+ * the revision that we've last received from our registry. Only the revisions
+ * of our registry are remembered, mirrors can be ahead of each other.
+ *
+ * @param {String} primary The URL of our registry.
+ * @param {String} url The URL of the mirror that returned the document.
+ * @param {Object} data The package document.
+ * @returns {Boolean} The document is outdated.
+ * @api public
+ */
+Mirrors.prototype.stale = function stale(primary, url, data) {
+  var current = revision(data)
+    , key = primary +'#'+ (data && (data._id || data.name))
+    , known = this.revisions[key];
+
+  if (!current) return false;
+  if (url !== primary) {
+    if (!known || compare(current, known) >= 0) return false;
+
+    debug('%s returned an outdated revision of %s', url, key);
+    return true;
+  }
+
+  if (!known) this.documents.push(key);
+
+  this.revisions[key] = current;
+
+  while (this.documents.length > this.max) {
+    delete this.revisions[this.documents.shift()];
+  }
+
+  return false;
+};
+
+/**
+ * Report the health of the given mirrors.
+ *
+ * @param {Array} mirrors The URLs of the mirrors.
+ * @returns {Array} The health of every mirror.
+ * @api public
+ */
+Mirrors.prototype.status = function status(mirrors) {
+  var tracker = this;
+
+  return mirrors.filter(function filter(url, index) {
+    return mirrors.indexOf(url) === index;
+  }).map(function map(url) {
+    var health = tracker.get(url)
+      , state = tracker.state(url);
+
+    return {
+      url: url,
+      state: state,
+      healthy: 'open' !== state,
+      latency: health.latency,
+      errorRate: health.errorRate,
+      requests: health.requests,
+      failures: health.failures,
+      lastFailure: health.lastFailure,
+      lastError: health.lastError
+    };
+  });
+};
+
+//
+// Expose the health tracker.
+//
+module.exports = Mirrors;
@@ -2,6 +2,7 @@
 
 var creation = '2010-01-14T01:41:08-08:00'  // The date that the registry got spec'd.
   , extract = require('extract-github')
+  , errors = require('../errors')
   , semver = require('../semver')
   , to = require('./to');
 
@@ -47,6 +48,12 @@ function packages(data, fallback) {
     catch (e) {}
   }
 
+  //
+  // The abbreviated install metadata only contains the information needed to
+  // install a package. Releases inherit this from the package they belong to.
+  //
+  if (data.abbreviated || fallback.abbreviated) data.abbreviated = true;
+
   //
   // These can not be transformed to a normal value that easily so we set them
   // first.
@@ -128,8 +135,14 @@ function packages(data, fallback) {
       data.created = data.time[releases[releases.length -1]];
     }
 
-    data.modified = data.modified || creation;
-    data.created = data.created || creation;
+    //
+    // The abbreviated metadata has no `time` object so we cannot know when
+    // it was created, this is better than pretending it's from 2010.
+    //
+    if (!data.abbreviated) {
+      data.modified = data.modified || creation;
+      data.created = data.created || creation;
+    }
   }
 
   //
@@ -139,6 +152,7 @@ function packages(data, fallback) {
   if ('string' === typeof data.created) data.created = new Date(data.created);
 
   Object.keys(data.time).forEach(function normalize(version) {
+    if ('unpublished' === version) return;
     data.time[version] = new Date(data.time[version]);
   });
 
@@ -169,6 +183,19 @@ function packages(data, fallback) {
   //
   data.unpublished = data._deleted === true || !!data.time.unpublished;
 
+  //
+  // The document of an unpublished module can still be returned so we add the
+  // error that explains why it cannot be used.
+  //
+  if (data.unpublished) {
+    data.error = new errors.Unpublished(data.name +' has been unpublished', {
+      package: data.name,
+      unpublished: data.time.unpublished && data.time.unpublished.time
+        ? new Date(data.time.unpublished.time)
+        : undefined
+    });
+  }
+
   // @TODO reuse github information for missing bugs fields.
   // @TODO normalize .web / .url in repo, license author etc.
   // @TODO reuse github for homepage.
@@ -0,0 +1,143 @@
+'use strict';
+
+var fs = require('fs')
+  , url = require('url');
+
+//
+// npmrc.js reads the registry, scope and credential information from `.npmrc`
+// formatted files so they can be used as options for the Registry.
+//
+
+/**
+ * Transform a registry URL in to a "nerf dart", the protocol-less URL that is
+ * used by npm to scope credentials to a given registry.
+ *
+ * @param {String} uri The registry URL.
+ * @returns {String} The nerf dart.
+ * @api public
+ */
+exports.nerf = function nerf(uri) {
+  var parsed = url.parse(uri.indexOf('//') === 0 ? 'http:'+ uri : uri)
+    , pathname = parsed.pathname || '/';
+
+  if ('/' !== pathname.charAt(pathname.length - 1)) pathname += '/';
+  return '//'+ parsed.host + pathname;
+};
+
+/**
+ * Generate the value of the authorization header for the given credentials.
+ * The following credentials are accepted:
+ *
+ * - A string, which is assumed to be a bearer token.
+ * - token or _authToken: A bearer token.
+ * - user and password: Name and password of the account.
+ * - _auth: A base64 encoded user:password.
+ * - authorization: A pre-compiled authorization header.
+ *
+ * @param {String|Object} credentials The credentials.
+ * @returns {String|Undefined} The authorization header.
+ * @api public
+ */
+exports.authorization = function authorization(credentials) {
+  if (!credentials) return undefined;
+  if ('string' === typeof credentials) return 'Bearer '+ credentials;
+
+  var token = credentials.token || credentials._authToken
+    , user = credentials.user || credentials.username;
+
+  if (credentials.authorization) return credentials.authorization;
+  if (token) return 'Bearer '+ token;
+  if (credentials._auth) return 'Basic '+ credentials._auth;
+
+  if (user && credentials.password) {
+    return 'Basic '+ new Buffer(user +':'+ credentials.password).toString('base64');
+  }
+};
+
+/**
+ * Parse the contents of a `.npmrc` file. Environment variables that are
+ * referenced as `${NAME}` are replaced by their values.
+ *
+ * @param {String} content The contents of the file.
+ * @returns {Object} The registry, scopes and credentials.
+ * @api public
+ */
+exports.parse = function parse(content) {
+  var data = { scopes: {}, credentials: {} }
+    , nerf;
+
+  content.toString().split(/\r?\n/).forEach(function each(line) {
+    line = line.trim();
+    if (!line || ';' === line.charAt(0) || '#' === line.charAt(0)) return;
+
+    var index = line.indexOf('=')
+      , key, value, field;
+
+    if (!~index) return;
+
+    key = line.slice(0, index).trim();
+    value = line.slice(index + 1).trim().replace(/^(['"])(.*)\1$/, '$2');
+    value = value.replace(/\$\{([^}]+)\}/g, function env(match, name) {
+      return process.env[name] || '';
+    });
+
+    if ('registry' === key) return data.registry = value;
+
+    //
+    // Scoped registries: @scope:registry=https://npm.ourco.com/
+    //
+    if (/^@[^:]+:registry$/.test(key)) {
+      return data.scopes[key.slice(0, key.indexOf(':'))] = value;
+    }
+
+    //
+    // Registry specific credentials: //npm.ourco.com/:_authToken=token
+    // Credentials without a registry belong to the default registry.
+    //
+    if ('//' === key.slice(0, 2)) {
+      index = key.lastIndexOf(':');
+      nerf = exports.nerf(key.slice(0, index));
+      field = key.slice(index + 1);
+    } else {
+      nerf = '';
+      field = key;
+    }
+
+    if (!~['_authToken', '_auth', 'username', '_password'].indexOf(field)) return;
+    if ('_password' === field) value = new Buffer(value, 'base64').toString();
+
+    data.credentials[nerf] = data.credentials[nerf] || {};
+    data.credentials[nerf]['_password' === field ? 'password' : field] = value;
+  });
+
+  //
+  // Now that we know the default registry we can assign the credentials that
+  // were specified without a registry. If there isn't one they will remain
+  // under an empty key so they can be assigned to the configured registry.
+  //
+  if (data.credentials[''] && data.registry) {
+    nerf = exports.nerf(data.registry);
+
+    data.credentials[nerf] = data.credentials[nerf] || data.credentials[''];
+    delete data.credentials[''];
+  }
+
+  return data;
+};
+
+/**
+ * Read and parse a `.npmrc` file. A file that doesn't exist is treated as an
+ * empty configuration.
+ *
+ * @param {String} file Location of the file.
+ * @returns {Object} The registry, scopes and credentials.
+ * @api public
+ */
+exports.read = function read(file) {
+  var content = '';
+
+  try { content = fs.readFileSync(file, 'utf-8'); }
+  catch (e) { if ('ENOENT' !== e.code) throw e; }
+
+  return exports.parse(content);
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+//
+// spec.js is a small collection of utilities that parse and encode package
+// specifiers. A specifier is a package name with an optional version or tag
+// which can be separated using an `@` or `/` char:
+//
+// - primus
+// - primus@0.1.1, primus/0.1.1, primus@latest
+// - @scope/name, @scope/name@1.2.3, @scope/name/latest, @scope%2fname
+//
+
+/**
+ * Parse a package specifier in to its name, scope and version.
+ *
+ * @param {String} specifier The package specifier.
+ * @returns {Object} The name, scope and version.
+ * @api public
+ */
+exports.parse = function parse(specifier) {
+  var spec = (specifier || '').toString().trim().replace(/^(@[^\/%]+)%2f/i, '$1/')
+    , data = { raw: specifier, name: spec, scope: undefined, version: undefined }
+    , offset = 0
+    , index;
+
+  //
+  // Scoped packages contain a `/` between the scope and the name, so we need
+  // to search for the version separator after it.
+  //
+  if ('@' === spec.charAt(0)) {
+    offset = spec.indexOf('/') + 1;
+    if (!offset) return data;
+
+    data.scope = spec.slice(0, offset - 1);
+  }
+
+  index = spec.slice(offset).search(/[@\/]/);
+  if (!~index) return data;
+
+  data.name = spec.slice(0, offset + index);
+  data.version = spec.slice(offset + index + 1) || undefined;
+
+  return data;
+};
+
+/**
+ * Encode the name of a package so it can be used as a single path segment of
+ * a registry URL. Scoped packages need their `/` encoded as `%2f`.
+ *
+ * @param {String} name The name of the package.
+ * @returns {String} The encoded name.
+ * @api public
+ */
+exports.encode = function encode(name) {
+  return encodeURIComponent(name).replace(/^%40/, '@').replace('%2F', '%2f');
+};
+
+/**
+ * Generate the registry path for a given package specifier.
+ *
+ * @param {String} specifier The package specifier.
+ * @returns {String} The path.
+ * @api public
+ */
+exports.path = function path(specifier) {
+  var data = exports.parse(specifier)
+    , path = exports.encode(data.name);
+
+  if (data.version) path += '/'+ encodeURIComponent(data.version);
+  return path;
+};
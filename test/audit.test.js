@@ -0,0 +1,206 @@
+describe('.audit', function () {
+  'use strict';
+
+  var chai = require('chai')
+    , expect = chai.expect;
+
+  var Registry = require('../')
+    , mock = require('./mock')
+    , server, reg, requests, docs, advisories;
+
+  var lock = {
+    name: 'app',
+    version: '1.0.0',
+    lockfileVersion: 3,
+    requires: true,
+    packages: {
+      '': {
+        name: 'app',
+        version: '1.0.0',
+        dependencies: { a: '^1.0.0', b: '^1.0.0', '@private/thing': '^1.0.0' },
+        devDependencies: { c: '^1.0.0' }
+      },
+      'node_modules/@private/thing': { version: '1.0.0' },
+      'node_modules/a': { version: '1.0.0', dependencies: { b: '^1.0.0' } },
+      'node_modules/b': { version: '1.0.0' },
+      'node_modules/c': { version: '1.0.0', dev: true, dependencies: { b: '^2.0.0' } },
+      'node_modules/c/node_modules/b': { version: '2.0.0', dev: true }
+    }
+  };
+
+  beforeEach(function (next) {
+    docs = {
+      a: mock.doc('a', ['1.0.0']),
+      b: mock.doc('b', ['1.0.0', '1.0.1', '1.1.0-beta', '1.2.0', '2.0.0', '2.0.1']),
+      c: mock.doc('c', ['1.0.0'])
+    };
+
+    docs.a.versions['1.0.0'].dependencies = { b: '^1.0.0' };
+    docs.c.versions['1.0.0'].dependencies = { b: '^2.0.0' };
+
+    advisories = { b: [{
+      id: 1,
+      title: 'Command injection',
+      url: 'https://github.com/advisories/GHSA-1',
+      severity: 'critical',
+      vulnerable_versions: '<1.0.1'
+    }, {
+      id: 2,
+      title: 'Denial of service',
+      url: 'https://github.com/advisories/GHSA-2',
+      severity: 'moderate',
+      vulnerable_versions: '<1.2.0 || 2.0.0'
+    }]};
+
+    server = mock(function (req, res) {
+      if ('/-/npm/v1/security/advisories/bulk' === req.url) {
+        return res.end(JSON.stringify(advisories));
+      }
+
+      var name = decodeURIComponent(req.url.slice(1));
+
+      res.statusCode = docs[name] ? 200 : 404;
+      res.end(JSON.stringify(docs[name] || { error: 'not_found' }));
+    }, function (uri) {
+      reg = new Registry({
+        registry: uri,
+        scopes: { '@private': 'http://localhost:1/' },
+        mirrors: []
+      });
+
+      next();
+    });
+
+    requests = server.requests;
+  });
+
+  afterEach(function (next) {
+    server.close(next);
+  });
+
+  it('reports the vulnerabilities of a lockfile by severity', function (next) {
+    reg.audit(lock, function (err, report) {
+      if (err) return next(err);
+
+      var bulk = requests.filter(function (req) {
+        return 'POST' === req.method;
+      })[0];
+
+      expect(bulk.body).to.deep.equal({ a: ['1.0.0'], b: ['1.0.0', '2.0.0'], c: ['1.0.0'] });
+      expect(report).to.have.keys(['critical', 'high', 'moderate', 'low', 'info']);
+      expect(report.high).to.have.length(0);
+
+      expect(report.critical).to.have.length(1);
+      expect(report.critical[0].id).to.equal(1);
+      expect(report.critical[0].name).to.equal('b');
+      expect(report.critical[0].version).to.equal('1.0.0');
+      expect(report.critical[0].range).to.equal('<1.0.1');
+      expect(report.critical[0].paths).to.deep.equal([['b'], ['a', 'b']]);
+      expect(report.critical[0].fix).to.equal('1.2.0');
+
+      expect(report.moderate).to.have.length(2);
+      expect(report.moderate[0].version).to.equal('1.0.0');
+      expect(report.moderate[0].fix).to.equal('1.2.0');
+      expect(report.moderate[1].version).to.equal('2.0.0');
+      expect(report.moderate[1].dev).to.equal(true);
+      expect(report.moderate[1].paths).to.deep.equal([['c', 'b']]);
+      expect(report.moderate[1].fix).to.equal('2.0.1');
+
+      next();
+    });
+  });
+
+  it('skips the devDependencies when dev is false', function (next) {
+    reg.audit(lock, { dev: false }, function (err, report) {
+      if (err) return next(err);
+
+      expect(requests[0].body).to.deep.equal({ a: ['1.0.0'], b: ['1.0.0'] });
+      expect(report.moderate).to.have.length(1);
+
+      next();
+    });
+  });
+
+  it('sends the names of the dependencies as they are', function (next) {
+    docs.method = mock.doc('method', ['1.0.0', '1.0.1']);
+    advisories = { method: [{
+      id: 3,
+      title: 'Prototype pollution',
+      url: 'https://github.com/advisories/GHSA-3',
+      severity: 'high',
+      vulnerable_versions: '<1.0.1'
+    }]};
+
+    reg.audit({
+      name: 'app',
+      version: '1.0.0',
+      lockfileVersion: 3,
+      packages: {
+        '': { name: 'app', version: '1.0.0', dependencies: { assign: '^1.0.0', constructor: '^1.0.0', lodash: '^1.0.0', method: '^1.0.0' } },
+        'node_modules/assign': { version: '1.0.0' },
+        'node_modules/constructor': { version: '1.0.0' },
+        'node_modules/lodash': { version: '1.0.0' },
+        'node_modules/method': { version: '1.0.0' }
+      }
+    }, function (err, report) {
+      if (err) return next(err);
+
+      expect(requests[0].method).to.equal('POST');
+      expect(requests[0].body).to.deep.equal({
+        assign: ['1.0.0'],
+        constructor: ['1.0.0'],
+        lodash: ['1.0.0'],
+        method: ['1.0.0']
+      });
+
+      expect(report.high).to.have.length(1);
+      expect(report.high[0].name).to.equal('method');
+      expect(report.high[0].fix).to.equal('1.0.1');
+
+      next();
+    });
+  });
+
+  it('resolves the dependencies of a package.json', function (next) {
+    reg.audit({
+      name: 'app',
+      version: '1.0.0',
+      dependencies: { a: '^1.0.0' }
+    }).then(function (report) {
+      var bulk = requests.filter(function (req) {
+        return 'POST' === req.method;
+      })[0];
+
+      expect(bulk.body).to.deep.equal({ a: ['1.0.0'], b: ['1.2.0'] });
+      expect(report.critical).to.have.length(0);
+      expect(report.moderate).to.have.length(0);
+
+      next();
+    }).catch(next);
+  });
+
+  it('audits the resolved tree of packages.tree', function (next) {
+    reg.packages.tree('a', function (err, tree) {
+      if (err) return next(err);
+
+      advisories.b[1].vulnerable_versions = '<=1.2.0';
+
+      reg.audit(tree, function (err, report) {
+        if (err) return next(err);
+
+        expect(report.moderate).to.have.length(1);
+        expect(report.moderate[0].paths).to.deep.equal([['b']]);
+        expect(report.moderate[0].fix).to.equal('2.0.0');
+
+        next();
+      });
+    });
+  });
+
+  it('returns an InvalidInput for unsupported lockfiles', function (next) {
+    reg.audit({ lockfileVersion: 1, dependencies: {} }, function (err) {
+      expect(err).to.be.instanceOf(Registry.errors.InvalidInput);
+      next();
+    });
+  });
+});
@@ -0,0 +1,310 @@
+describe('.cache', function () {
+  'use strict';
+
+  var chai = require('chai')
+    , expect = chai.expect;
+
+  var Registry = require('../')
+    , mock = require('./mock')
+    , path = require('path')
+    , fs = require('fs')
+    , os = require('os');
+
+  describe('Memory', function () {
+    it('returns copies of the stored responses', function (next) {
+      var store = new Registry.cache.Memory()
+        , value = { data: [{ foo: 'bar' }] };
+
+      store.set('foo', value);
+      value.data[0].foo = 'baz';
+
+      store.get('foo', function (err, data) {
+        if (err) return next(err);
+
+        expect(data).to.deep.equal({ data: [{ foo: 'bar' }] });
+        data.data[0].foo = 'baz';
+
+        store.get('foo', function (err, data) {
+          expect(data.data[0].foo).to.equal('bar');
+          next(err);
+        });
+      });
+    });
+
+    it('evicts the least recently used responses', function (next) {
+      var store = new Registry.cache.Memory({ max: 2 });
+
+      store.set('a', 1);
+      store.set('b', 2);
+
+      store.get('a', function () {
+        store.set('c', 3);
+
+        expect(store.length).to.equal(2);
+        expect(store.responses).to.have.keys(['a', 'c']);
+
+        next();
+      });
+    });
+  });
+
+  describe('Filesystem', function () {
+    var directory = path.join(os.tmpdir(), 'npm-registry-cache-'+ process.pid);
+
+    after(function () {
+      fs.readdirSync(directory).forEach(function (file) {
+        fs.unlinkSync(path.join(directory, file));
+      });
+
+      fs.rmdirSync(directory);
+    });
+
+    it('requires a directory', function () {
+      expect(function () {
+        new Registry.cache.Filesystem();
+      }).to.throw(/directory/);
+    });
+
+    it('stores the responses on disk', function (next) {
+      var store = new Registry.cache.Filesystem(directory);
+
+      store.get('http://localhost/foo', function (err, data) {
+        if (err) return next(err);
+        expect(data).to.equal(undefined);
+
+        store.set('http://localhost/foo', { data: [{ foo: 'bar' }] }, function (err) {
+          if (err) return next(err);
+
+          expect(fs.readdirSync(directory)).to.have.length(1);
+
+          store.get('http://localhost/foo', function (err, data) {
+            expect(data).to.deep.equal({ data: [{ foo: 'bar' }] });
+            next(err);
+          });
+        });
+      });
+    });
+  });
+
+  describe('with a mocked registry', function () {
+    var server, requests, respond, uri;
+
+    beforeEach(function (next) {
+      server = mock(function (req, res) {
+        respond(req, res);
+      }, function (url) {
+        uri = url;
+        next();
+      });
+
+      requests = server.requests;
+    });
+
+    afterEach(function (next) {
+      server.close(next);
+    });
+
+    function registry(options) {
+      options = options || {};
+
+      options.registry = uri;
+      options.mirrors = [];
+      options.mindelay = 1;
+      options.maxdelay = 5;
+      options.retries = 1;
+      options.cache = options.cache || true;
+
+      return new Registry(options);
+    }
+
+    function json(res, data, headers) {
+      Object.keys(headers || {}).forEach(function (key) {
+        res.setHeader(key, headers[key]);
+      });
+
+      res.end(JSON.stringify(data));
+    }
+
+    it('revalidates the cached responses', function (next) {
+      var reg = registry();
+
+      respond = function (req, res) {
+        if (req.headers['if-none-match'] === '"abc"') {
+          expect(req.headers['if-modified-since']).to.equal('Sat, 01 Jan 2000 00:00:00 GMT');
+
+          res.statusCode = 304;
+          return res.end();
+        }
+
+        json(res, { name: 'foo' }, {
+          'ETag': '"abc"',
+          'Last-Modified': 'Sat, 01 Jan 2000 00:00:00 GMT'
+        });
+      };
+
+      reg.send('foo', function (err, data) {
+        if (err) return next(err);
+
+        expect(data).to.deep.equal([{ name: 'foo' }]);
+
+        reg.send('foo', function (err, data) {
+          if (err) return next(err);
+
+          expect(requests).to.have.length(2);
+          expect(data).to.deep.equal([{ name: 'foo' }]);
+
+          next();
+        });
+      });
+    });
+
+    it('uses fresh responses without a request', function (next) {
+      var reg = registry();
+
+      respond = function (req, res) {
+        json(res, { name: 'foo' }, { 'Cache-Control': 'max-age=300' });
+      };
+
+      reg.send('foo', function (err) {
+        if (err) return next(err);
+
+        reg.send('foo', function (err, data) {
+          if (err) return next(err);
+
+          expect(requests).to.have.length(1);
+          expect(data).to.deep.equal([{ name: 'foo' }]);
+
+          next();
+        });
+      });
+    });
+
+    it('does not store responses marked as no-store', function (next) {
+      var reg = registry({ maxage: 60000 });
+
+      respond = function (req, res) {
+        json(res, { name: 'foo' }, { 'Cache-Control': 'no-store' });
+      };
+
+      reg.send('foo', function (err) {
+        if (err) return next(err);
+
+        reg.send('foo', function (err) {
+          expect(requests).to.have.length(2);
+          next(err);
+        });
+      });
+    });
+
+    it('uses stale responses while revalidating', function (next) {
+      var reg = registry({ maxage: 0, stale: 60000 })
+        , version = 1;
+
+      respond = function (req, res) {
+        json(res, { version: version++ });
+      };
+
+      reg.send('foo', function (err) {
+        if (err) return next(err);
+
+        reg.send('foo', function (err, data) {
+          if (err) return next(err);
+
+          expect(data).to.deep.equal([{ version: 1 }]);
+
+          setTimeout(function () {
+            reg.send('foo', function (err, data) {
+              expect(data).to.deep.equal([{ version: 2 }]);
+              next(err);
+            });
+          }, 50);
+        });
+      });
+    });
+
+    it('uses stale responses when all mirrors are down', function (next) {
+      var reg = registry();
+
+      respond = function (req, res) {
+        if (requests.length > 1) {
+          res.statusCode = 500;
+          return res.end();
+        }
+
+        json(res, { name: 'foo' }, { 'ETag': '"abc"' });
+      };
+
+      reg.send('foo', function (err) {
+        if (err) return next(err);
+
+        reg.send('foo', function (err, data) {
+          if (err) return next(err);
+
+          expect(requests.length).to.be.above(1);
+          expect(data).to.deep.equal([{ name: 'foo' }]);
+
+          next();
+        });
+      });
+    });
+
+    it('only uses stale responses for server errors', function (next) {
+      var reg = registry();
+
+      respond = function (req, res) {
+        if (requests.length > 1) {
+          res.statusCode = 403;
+          return res.end(JSON.stringify({ error: 'forbidden' }));
+        }
+
+        json(res, { name: 'foo' }, { 'ETag': '"abc"' });
+      };
+
+      reg.send('foo', function (err) {
+        if (err) return next(err);
+
+        reg.send('foo', function (err) {
+          expect(err).to.be.instanceOf(Error);
+          expect(Registry.errors.translate(err).statusCode).to.equal(403);
+
+          next();
+        });
+      });
+    });
+
+    it('does not cache authorized requests', function (next) {
+      var reg = registry({ maxage: 60000, authorization: 'Bearer secret' });
+
+      respond = function (req, res) {
+        expect(req.headers.authorization).to.equal('Bearer secret');
+        json(res, { name: 'foo' });
+      };
+
+      reg.send('foo', function (err) {
+        if (err) return next(err);
+
+        reg.send('foo', function (err) {
+          expect(requests).to.have.length(2);
+          next(err);
+        });
+      });
+    });
+
+    it('does not cache write requests', function (next) {
+      var reg = registry({ maxage: 60000 });
+
+      respond = function (req, res) {
+        json(res, { ok: true });
+      };
+
+      reg.send('foo', { method: 'PUT', json: { name: 'foo' } }, function (err) {
+        if (err) return next(err);
+
+        reg.send('foo', { method: 'PUT', json: { name: 'foo' } }, function (err) {
+          expect(requests).to.have.length(2);
+          next(err);
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,194 @@
+describe('.changes', function () {
+  'use strict';
+
+  var chai = require('chai')
+    , expect = chai.expect;
+
+  var Registry = require('../')
+    , mock = require('./mock')
+    , url = require('url')
+    , server, reg, requests, respond, feed;
+
+  function change(seq, name) {
+    return JSON.stringify({
+      seq: seq,
+      id: name,
+      changes: [{ rev: seq +'-abc' }],
+      doc: mock.doc(name, ['1.0.0'], {
+        time: { created: '2014-01-01T00:00:00.000Z', modified: '2014-01-02T00:00:00.000Z' }
+      })
+    }) +'\n';
+  }
+
+  function parse(req) {
+    return url.parse(req.url, true);
+  }
+
+  beforeEach(function (next) {
+    server = mock(function (req, res) {
+      respond(req, res, requests.length);
+    }, function (uri) {
+      reg = new Registry({
+        registry: uri,
+        mirrors: [],
+        mindelay: 1,
+        maxdelay: 10
+      });
+
+      next();
+    });
+
+    requests = server.requests;
+  });
+
+  afterEach(function (next) {
+    if (feed) feed.stop();
+    feed = null;
+
+    server.close(next);
+  });
+
+  it('emits the normalized documents', function (next) {
+    respond = function (req, res) {
+      res.write('\n');
+      res.write(change(1, '_design/app'));
+      res.write(change(2, 'foo'));
+    };
+
+    feed = reg.changes({ since: 0 });
+
+    feed.on('change', function (pkg, data) {
+      expect(parse(requests[0]).pathname).to.equal('/_changes');
+      expect(parse(requests[0]).query).to.deep.equal({
+        feed: 'continuous',
+        include_docs: 'true',
+        heartbeat: '30000',
+        since: '0'
+      });
+
+      expect(pkg.name).to.equal('foo');
+      expect(pkg.created).to.be.instanceOf(Date);
+      expect(pkg.releases).to.have.keys(['1.0.0']);
+      expect(data.seq).to.equal(2);
+      expect(feed.since).to.equal(2);
+
+      next();
+    });
+  });
+
+  it('emits deleted documents as unpublished', function (next) {
+    respond = function (req, res) {
+      res.write(JSON.stringify({ seq: 3, id: 'foo', deleted: true, changes: [] }) +'\n');
+    };
+
+    feed = reg.changes();
+
+    feed.on('change', function (pkg) {
+      expect(parse(requests[0]).query.since).to.equal('now');
+      expect(pkg.name).to.equal('foo');
+      expect(pkg.unpublished).to.equal(true);
+
+      next();
+    });
+  });
+
+  it('reconnects from the last sequence', function (next) {
+    respond = function (req, res, count) {
+      if (1 === count) return res.end(change(5, 'foo'));
+      if (2 === count) {
+        res.statusCode = 500;
+        return res.end();
+      }
+
+      res.write(change(6, 'bar'));
+    };
+
+    feed = reg.changes({ since: 4 });
+
+    feed.on('change', function (pkg) {
+      if ('bar' !== pkg.name) return;
+
+      expect(requests.map(function (req) {
+        return parse(req).query.since;
+      })).to.deep.equal(['4', '5', '5']);
+
+      next();
+    });
+  });
+
+  it('backs off between reconnects', function (next) {
+    var delays = [];
+
+    respond = function (req, res) {
+      res.statusCode = 500;
+      res.end();
+    };
+
+    feed = reg.changes();
+
+    feed.on('reconnect', function (err, delay) {
+      expect(err.message).to.contain('500');
+      delays.push(delay);
+
+      if (delays.length < 5) return;
+
+      expect(delays).to.deep.equal([1, 2, 4, 8, 10]);
+      next();
+    });
+  });
+
+  it('reconnects when the heartbeat is missing', function (next) {
+    respond = function () {};
+
+    feed = reg.changes({ heartbeat: 10 });
+
+    feed.once('reconnect', function (err) {
+      expect(err.message).to.contain('heartbeat');
+      next();
+    });
+  });
+
+  it('persists and resumes the sequence in a checkpoint store', function (next) {
+    var store = new Registry.cache.Memory();
+
+    respond = function (req, res) {
+      res.write(change(+req.url.split('since=')[1] + 1, 'foo'));
+    };
+
+    feed = reg.changes({ since: 10, checkpoint: store });
+
+    feed.once('checkpoint', function (seq) {
+      expect(seq).to.equal(11);
+      feed.stop();
+
+      feed = reg.changes({ since: 0, checkpoint: store });
+      feed.once('change', function (pkg, data) {
+        expect(parse(requests[1]).query.since).to.equal('11');
+        expect(data.seq).to.equal(12);
+
+        next();
+      });
+    });
+  });
+
+  it('stops following the feed', function (next) {
+    respond = function (req, res) {
+      res.write(change(1, 'foo'));
+    };
+
+    feed = reg.changes();
+
+    feed.once('change', function () {
+      feed.on('reconnect', function () {
+        next(new Error('Should not reconnect'));
+      });
+
+      feed.on('end', function (since) {
+        expect(since).to.equal(1);
+        setTimeout(next, 20);
+      });
+
+      feed.stop();
+    });
+  });
+});
@@ -76,4 +76,478 @@ describe('.downloads', function () {
       });
     });
   });
+
+  describe('with a mocked stats server', function () {
+    var mock = require('./mock')
+      , server, reg, requests, periods, stats;
+
+    beforeEach(function (next) {
+      requests = [];
+      periods = [];
+      stats = {
+        foo: 10,
+        bar: 20,
+        '@scope/baz': 30,
+        fresh: null
+      };
+
+      server = mock(function (req, res) {
+        var parts = req.url.split('/')
+          , type = parts[2]
+          , period = parts[3]
+          , names = decodeURIComponent(parts.slice(4).join('/')).split(',');
+
+        //
+        // Generate a download for every day of a date range, except for the
+        // 15th of each month so we can test the filling of missing days.
+        //
+        function days(name) {
+          if (!~period.indexOf(':')) return [{ day: '2014-01-01', downloads: stats[name] }];
+
+          var result = []
+            , end = new Date(period.split(':')[1]).getTime()
+            , time;
+
+          for (time = new Date(period.split(':')[0]).getTime(); time <= end; time += 86400000) {
+            if (new Date(time).getUTCDate() === 15) continue;
+            result.push({ day: new Date(time).toISOString().slice(0, 10), downloads: stats[name] });
+          }
+
+          return result;
+        }
+
+        function data(name) {
+          if (!(name in stats)) return null;
+          if (null === stats[name]) return { start: '2014-01-01', end: '2014-01-07' };
+
+          return {
+            package: name,
+            start: '2014-01-01',
+            end: '2014-01-07',
+            downloads: 'point' === type ? stats[name] : days(name)
+          };
+        }
+
+        if ('/versions/' === req.url.slice(0, 10)) return res.end(JSON.stringify({
+          package: decodeURIComponent(parts[2]),
+          downloads: { '1.0.0': 5, '0.9.0': 1, '1.1.0-beta': 2, '2.0.0': 3 }
+        }));
+
+        if ('/foo' === req.url) return res.end(JSON.stringify(mock.doc('foo', {
+          '1.0.0': { license: 'MIT' },
+          '1.1.0-beta': { license: 'MIT' },
+          '0.10.0': { license: 'MIT', deprecated: 'use 1.0.0' }
+        }, {
+          license: 'MIT',
+          'dist-tags': { latest: '1.0.0', beta: '1.1.0-beta', next: '1.1.0-beta' },
+          time: {
+            '1.0.0': '2014-01-01T00:00:00.000Z',
+            '1.1.0-beta': '2014-02-01T00:00:00.000Z',
+            '0.10.0': '2013-12-01T00:00:00.000Z'
+          }
+        })));
+
+        periods.push(period);
+        requests.push(names);
+
+        if (names.length > 1) return res.end(JSON.stringify(names.reduce(function (memo, name) {
+          memo[name] = data(name);
+          return memo;
+        }, {})));
+
+        if (!data(names[0])) {
+          res.statusCode = 404;
+          return res.end(JSON.stringify({ error: 'package '+ names[0] +' not found' }));
+        }
+
+        res.end(JSON.stringify(data(names[0])));
+      }, function (uri) {
+        reg = new Registry({
+          registry: uri,
+          stats: uri,
+          mirrors: []
+        });
+
+        next();
+      });
+    });
+
+    afterEach(function (next) {
+      server.close(next);
+    });
+
+    it('retrieves the totals of multiple packages', function (next) {
+      reg.downloads.totals('last-week', ['foo', '@scope/baz', 'bar', 'fresh', 'missing', 'foo'], function (err, data) {
+        data = Array.isArray(data) ? data[0] : data;
+        if (err) return next(err);
+
+        expect(Object.keys(data)).to.deep.equal(['foo', '@scope/baz', 'bar', 'fresh', 'missing']);
+        expect(data.foo.downloads).to.equal(10);
+        expect(data.bar.downloads).to.equal(20);
+        expect(data['@scope/baz'].downloads).to.equal(30);
+        expect(data.fresh).to.deep.equal({ package: 'fresh', start: '2014-01-01', end: '2014-01-07', downloads: 0 });
+        expect(data.missing).to.deep.equal({ package: 'missing', downloads: 0 });
+
+        expect(requests.map(function (names) {
+          return names.join(',');
+        }).sort()).to.deep.equal(['@scope/baz', 'foo,bar,fresh,missing']);
+
+        next();
+      });
+    });
+
+    it('retrieves the range of multiple packages', function (next) {
+      reg.downloads.range('last-week', ['foo', 'fresh'], function (err, data) {
+        data = Array.isArray(data) ? data[0] : data;
+        if (err) return next(err);
+
+        expect(data.foo.downloads).to.deep.equal([{ day: '2014-01-01', downloads: 10 }]);
+        expect(data.fresh.downloads).to.deep.equal([]);
+
+        next();
+      });
+    });
+
+    it('batches the unscoped packages', function (next) {
+      var names = [];
+
+      for (var i = 0; i < 300; i++) names.push('pkg'+ i);
+
+      reg.downloads.totals('last-week', names, function (err, data) {
+        data = Array.isArray(data) ? data[0] : data;
+        if (err) return next(err);
+
+        expect(Object.keys(data)).to.have.length(300);
+        expect(requests.map(function (names) {
+          return names.length;
+        }).sort()).to.deep.equal([128, 128, 44]);
+
+        next();
+      });
+    });
+
+    it('requests a single unscoped package individually', function (next) {
+      reg.downloads.totals('last-week', ['foo'], function (err, data) {
+        data = Array.isArray(data) ? data[0] : data;
+        if (err) return next(err);
+
+        expect(data).to.deep.equal({
+          foo: { package: 'foo', start: '2014-01-01', end: '2014-01-07', downloads: 10 }
+        });
+
+        next();
+      });
+    });
+
+    it('retrieves the range between two dates', function (next) {
+      reg.downloads.range({ start: '2014-01-01', end: new Date('2014-01-31T12:00:00Z') }, 'foo', function (err, data) {
+        data = Array.isArray(data) ? data[0] : data;
+        if (err) return next(err);
+
+        expect(periods).to.deep.equal(['2014-01-01:2014-01-31']);
+        expect(data.package).to.equal('foo');
+        expect(data.start).to.equal('2014-01-01');
+        expect(data.end).to.equal('2014-01-31');
+        expect(data.downloads).to.have.length(31);
+        expect(data.downloads[0]).to.deep.equal({ day: '2014-01-01', downloads: 10 });
+        expect(data.downloads[14]).to.deep.equal({ day: '2014-01-15', downloads: 0 });
+
+        next();
+      });
+    });
+
+    it('retrieves the range of a single day', function (next) {
+      reg.downloads.range(new Date('2014-02-03T10:00:00Z'), 'foo', function (err, data) {
+        data = Array.isArray(data) ? data[0] : data;
+        if (err) return next(err);
+
+        expect(periods).to.deep.equal(['2014-02-03:2014-02-03']);
+        expect(data.downloads).to.deep.equal([{ day: '2014-02-03', downloads: 10 }]);
+
+        next();
+      });
+    });
+
+    it('splits ranges that are longer than 18 months', function (next) {
+      reg.downloads.range({ start: '2012-01-01', end: '2014-12-31' }, 'foo', function (err, data) {
+        data = Array.isArray(data) ? data[0] : data;
+        if (err) return next(err);
+
+        expect(periods.sort()).to.deep.equal([
+          '2012-01-01:2013-06-23',
+          '2013-06-24:2014-12-15',
+          '2014-12-16:2014-12-31'
+        ]);
+
+        expect(data.downloads).to.have.length(1096);
+        expect(data.downloads[0].day).to.equal('2012-01-01');
+        expect(data.downloads[1095].day).to.equal('2014-12-31');
+
+        data.downloads.forEach(function (stats) {
+          expect(stats.downloads).to.equal(/-15$/.test(stats.day) ? 0 : 10);
+        });
+
+        next();
+      });
+    });
+
+    it('stitches the ranges of multiple packages', function (next) {
+      reg.downloads.range({ start: '2012-01-01', end: '2014-12-31' }, ['foo', 'bar'], function (err, data) {
+        data = Array.isArray(data) ? data[0] : data;
+        if (err) return next(err);
+
+        expect(periods).to.have.length(3);
+        expect(data).to.have.keys(['foo', 'bar']);
+        expect(data.bar.package).to.equal('bar');
+        expect(data.bar.downloads).to.have.length(1096);
+        expect(data.bar.downloads[0]).to.deep.equal({ day: '2012-01-01', downloads: 20 });
+
+        next();
+      });
+    });
+
+    it('validates the dates', function (next) {
+      var pending = 3;
+
+      function nope(msg) {
+        return function (err) {
+          expect(err).to.be.an.instanceOf(Error);
+          expect(err.message).to.contain(msg);
+          expect(requests).to.have.length(0);
+
+          if (!--pending) next();
+        };
+      }
+
+      reg.downloads.range({ start: 'foo' }, 'foo', nope('start'));
+      reg.downloads.range({ start: '2014-01-01', end: 'bar' }, 'foo', nope('end'));
+      reg.downloads.range({ start: '2014-02-01', end: '2014-01-01' }, 'foo', nope('before'));
+    });
+
+    describe('#rollup', function () {
+      it('rolls the downloads up in to weeks', function (next) {
+        reg.downloads.rollup({ start: '2014-01-01', end: '2014-01-14' }, 'foo', 'week', function (err, weeks) {
+          if (err) return next(err);
+
+          expect(weeks).to.deep.equal([
+            { period: '2013-12-30', start: '2014-01-01', end: '2014-01-05', downloads: 50 },
+            { period: '2014-01-06', start: '2014-01-06', end: '2014-01-12', downloads: 70 },
+            { period: '2014-01-13', start: '2014-01-13', end: '2014-01-14', downloads: 20 }
+          ]);
+
+          next();
+        });
+      });
+
+      it('rolls the downloads up in to months and years', function (next) {
+        reg.downloads.rollup({ start: '2013-12-01', end: '2014-02-28' }, ['foo'], 'month', function (err, months) {
+          if (err) return next(err);
+
+          expect(months.foo.map(function (month) {
+            return month.period +'='+ month.downloads;
+          })).to.deep.equal(['2013-12=300', '2014-01=300', '2014-02=270']);
+
+          reg.downloads.rollup({ start: '2013-12-01', end: '2014-02-28' }, 'foo', 'year', function (err, years) {
+            if (err) return next(err);
+
+            expect(years.map(function (year) {
+              return year.period +'='+ year.downloads;
+            })).to.deep.equal(['2013=300', '2014=570']);
+
+            next();
+          });
+        });
+      });
+
+      it('refuses unknown intervals', function (next) {
+        reg.downloads.rollup('last-week', 'foo', 'decade', function (err) {
+          expect(err.message).to.contain('interval');
+          next();
+        });
+      });
+
+      it('refuses a missing interval', function (next) {
+        reg.downloads.rollup('last-week', 'foo', function (err) {
+          expect(err).to.be.instanceOf(Registry.errors.InvalidInput);
+          expect(err.message).to.contain('interval');
+          expect(requests).to.have.length(0);
+
+          next();
+        });
+      });
+    });
+
+    describe('#average', function () {
+      it('calculates the moving average', function (next) {
+        reg.downloads.average({ start: '2014-01-13', end: '2014-01-17' }, 'foo', 2, function (err, days) {
+          if (err) return next(err);
+
+          expect(days).to.deep.equal([
+            { day: '2014-01-13', downloads: 10, average: 10 },
+            { day: '2014-01-14', downloads: 10, average: 10 },
+            { day: '2014-01-15', downloads: 0, average: 5 },
+            { day: '2014-01-16', downloads: 10, average: 5 },
+            { day: '2014-01-17', downloads: 10, average: 10 }
+          ]);
+
+          next();
+        });
+      });
+
+      it('defaults to a week', function (next) {
+        reg.downloads.average({ start: '2014-01-01', end: '2014-01-31' }, 'foo', function (err, days) {
+          if (err) return next(err);
+
+          expect(days).to.have.length(31);
+          expect(days[20].average).to.equal(60 / 7);
+
+          next();
+        });
+      });
+    });
+
+    describe('#growth', function () {
+      it('calculates the month over month growth', function (next) {
+        reg.downloads.growth({ start: '2014-01-01', end: '2014-03-31' }, 'foo', 'month', function (err, months) {
+          if (err) return next(err);
+
+          expect(months.map(function (month) {
+            return month.growth;
+          })).to.deep.equal([null, -30 / 300, 30 / 270]);
+
+          next();
+        });
+      });
+
+      it('defaults to week over week', function (next) {
+        reg.downloads.growth({ start: '2014-01-06', end: '2014-01-19' }, ['foo'], function (err, weeks) {
+          if (err) return next(err);
+
+          expect(weeks.foo).to.have.length(2);
+          expect(weeks.foo[1].growth).to.equal(-10 / 70);
+
+          next();
+        });
+      });
+    });
+
+    describe('#compare', function () {
+      it('compares the downloads of packages', function (next) {
+        reg.downloads.compare({ start: '2014-01-01', end: '2014-01-10' }, ['foo', 'bar'], function (err, data) {
+          if (err) return next(err);
+
+          expect(data.bar).to.deep.equal({
+            total: 200,
+            average: 20,
+            peak: { day: '2014-01-01', downloads: 20 },
+            share: 200 / 300,
+            rank: 1
+          });
+
+          expect(data.foo.total).to.equal(100);
+          expect(data.foo.rank).to.equal(2);
+
+          next();
+        });
+      });
+
+      it('requires packages', function (next) {
+        reg.downloads.compare('last-week', 'foo', function (err) {
+          expect(err.message).to.contain('Missing');
+          next();
+        });
+      });
+    });
+
+    describe('#versions', function () {
+      it('merges the downloads with the releases', function (next) {
+        reg.downloads.versions('foo', function (err, versions) {
+          if (err) return next(err);
+
+          expect(versions.map(function (release) {
+            return release.version;
+          })).to.deep.equal(['0.9.0', '0.10.0', '1.0.0', '1.1.0-beta', '2.0.0']);
+
+          expect(versions[1]).to.deep.equal({
+            version: '0.10.0',
+            date: new Date('2013-12-01T00:00:00.000Z'),
+            tags: [],
+            downloads: 0,
+            deprecated: 'use 1.0.0'
+          });
+
+          expect(versions[2].tags).to.deep.equal(['latest']);
+          expect(versions[2].downloads).to.equal(5);
+          expect(versions[3].tags.sort()).to.deep.equal(['beta', 'next']);
+          expect(versions[0].date).to.equal(undefined);
+
+          next();
+        });
+      });
+
+      it('maps the merged versions', function (next) {
+        reg.downloads.versions('foo', function (err, versions) {
+          if (err) return next(err);
+
+          expect(versions).to.deep.equal(['0.9.0', '0.10.0', '1.0.0', '1.1.0-beta', '2.0.0']);
+          next();
+        }).map(function (release) {
+          return release.version;
+        });
+      });
+    });
+
+    describe('without a callback', function () {
+      it('resolves with the result', function (next) {
+        reg.downloads.totals('last-week', ['foo', 'bar']).then(function (data) {
+          data = Array.isArray(data) ? data[0] : data;
+
+          expect(data.foo.downloads).to.equal(10);
+          expect(data.bar.downloads).to.equal(20);
+
+          next();
+        }).catch(next);
+      });
+
+      it('rejects invalid arguments', function (next) {
+        reg.downloads.rollup('last-week', 'foo', 'decade').then(function () {
+          next(new Error('Should not resolve'));
+        }, function (err) {
+          expect(err.message).to.contain('decade');
+          expect(requests).to.have.length(0);
+
+          next();
+        });
+      });
+
+      it('iterates over the versions', function (next) {
+        var iterator = reg.downloads.versions('foo')[Symbol.asyncIterator]()
+          , versions = [];
+
+        (function step() {
+          iterator.next().then(function (result) {
+            if (!result.done) {
+              versions.push(result.value.version);
+              return step();
+            }
+
+            expect(versions).to.deep.equal(['0.9.0', '0.10.0', '1.0.0', '1.1.0-beta', '2.0.0']);
+
+            next();
+          }).catch(next);
+        }());
+      });
+    });
+
+    it('returns an empty object for an empty array', function (next) {
+      reg.downloads.totals('last-week', [], function (err, data) {
+        data = Array.isArray(data) ? data[0] : data;
+
+        expect(data).to.deep.equal({});
+        expect(requests).to.have.length(0);
+
+        next(err);
+      });
+    });
+  });
 });
@@ -0,0 +1,264 @@
+describe('.errors', function () {
+  'use strict';
+
+  var chai = require('chai')
+    , expect = chai.expect;
+
+  var Registry = require('../')
+    , errors = Registry.errors
+    , normalize = require('../normalize')
+    , mock = require('./mock');
+
+  it('inherits from the RegistryError', function () {
+    var err = new errors.Unpublished('foo has been unpublished', { package: 'foo' });
+
+    expect(err).to.be.instanceOf(Error);
+    expect(err).to.be.instanceOf(errors.RegistryError);
+    expect(err).to.be.instanceOf(errors.NotFound);
+    expect(err.name).to.equal('Unpublished');
+    expect(err.statusCode).to.equal(404);
+    expect(err.package).to.equal('foo');
+    expect(err.stack).to.contain('foo has been unpublished');
+  });
+
+  describe('#translate', function () {
+    it('uses the status code that mana hides in the message', function () {
+      var err = new Error('Failed to process request: Received a non 200 status code: 401');
+
+      err.statusCode = 500;
+      err = errors.translate(err, { url: 'http://localhost/', package: 'foo' });
+
+      expect(err).to.be.instanceOf(errors.Unauthorized);
+      expect(err.statusCode).to.equal(401);
+      expect(err.url).to.equal('http://localhost/');
+      expect(err.package).to.equal('foo');
+    });
+
+    it('adds the retry-after to rate limits', function () {
+      var err = new Error('Received a non 200 status code: 429');
+
+      err = errors.translate(err, { headers: { 'retry-after': '120' } });
+
+      expect(err).to.be.instanceOf(errors.RateLimited);
+      expect(err.retryAfter).to.equal(120);
+    });
+
+    it('returns an OTPRequired when the registry asks for a one-time password', function () {
+      var err = new Error('Failed to process request: connect ECONNREFUSED')
+        , failure = new Error('Received a non 200 status code: 401');
+
+      failure.body = '{"error":"You must provide a one-time pass."}';
+      err.errors = [failure];
+      err.statusCode = 500;
+
+      expect(errors.translate(err)).to.be.instanceOf(errors.OTPRequired);
+      expect(errors.translate(err)).to.be.instanceOf(errors.Unauthorized);
+      expect(errors.translate(failure, {
+        headers: { 'www-authenticate': 'OTP' }
+      })).to.be.instanceOf(errors.OTPRequired);
+    });
+
+    it('returns a MirrorsExhausted for other failures', function () {
+      var err = new Error('Failed to process request: connect ECONNREFUSED');
+
+      err.statusCode = 500;
+      err = errors.translate(err);
+
+      expect(err).to.be.instanceOf(errors.MirrorsExhausted);
+      expect(err.statusCode).to.equal(500);
+    });
+
+    it('leaves our own errors alone', function () {
+      var err = new errors.InvalidInput('Missing tag');
+
+      expect(errors.translate(err)).to.equal(err);
+    });
+  });
+
+  it('adds an Unpublished error to unpublished packages', function () {
+    var data = normalize.packages({
+      _id: 'foo',
+      time: {
+        modified: '2014-01-02T00:00:00.000Z',
+        unpublished: { name: 'foo', time: '2014-01-02T00:00:00.000Z' }
+      }
+    });
+
+    expect(data.unpublished).to.equal(true);
+    expect(data.error).to.be.instanceOf(errors.Unpublished);
+    expect(data.error.package).to.equal('foo');
+    expect(data.error.unpublished.toISOString()).to.equal('2014-01-02T00:00:00.000Z');
+  });
+
+  describe('with a mocked registry', function () {
+    var server, reg, respond, uri;
+
+    beforeEach(function (next) {
+      server = mock(function (req, res) {
+        respond(req, res);
+      }, function (url) {
+        uri = url;
+        reg = new Registry({
+          registry: uri,
+          stats: uri,
+          mirrors: [],
+          mindelay: 1,
+          maxdelay: 5,
+          retries: 1
+        });
+
+        next();
+      });
+    });
+
+    afterEach(function (next) {
+      server.close(next);
+    });
+
+    function status(statusCode, body, headers) {
+      respond = function (req, res) {
+        Object.keys(headers || {}).forEach(function (key) {
+          res.setHeader(key, headers[key]);
+        });
+
+        res.statusCode = statusCode;
+        res.end(JSON.stringify(body || { error: 'nope' }));
+      };
+    }
+
+    it('returns a NotFound for missing packages', function (next) {
+      status(404, { error: 'not_found' });
+
+      reg.packages.get('@scope/foo@1.0.0', function (err) {
+        expect(err).to.be.instanceOf(errors.NotFound);
+        expect(err.statusCode).to.equal(404);
+        expect(err.url).to.equal(uri);
+        expect(err.package).to.equal('@scope/foo');
+
+        next();
+      });
+    });
+
+    it('returns an Unpublished for unpublished packages', function (next) {
+      status(404, {
+        _id: 'foo',
+        name: 'foo',
+        time: { unpublished: { name: 'foo', time: '2014-01-02T00:00:00.000Z' } }
+      });
+
+      reg.packages.get('foo', function (err) {
+        expect(err).to.be.instanceOf(errors.Unpublished);
+        expect(err.url).to.equal(uri);
+        expect(err.package).to.equal('foo');
+
+        next();
+      });
+    });
+
+    it('returns a Forbidden when we are not allowed to write', function (next) {
+      status(403);
+
+      reg.packages.deprecate('foo', '*', 'nope', function (err) {
+        expect(err).to.be.instanceOf(errors.Forbidden);
+        expect(err.statusCode).to.equal(403);
+        expect(err.package).to.equal('foo');
+
+        next();
+      });
+    });
+
+    it('returns a RateLimited with the retry-after', function (next) {
+      status(429, {}, { 'Retry-After': '30' });
+
+      reg.downloads.totals('last-week', 'foo', function (err) {
+        expect(err).to.be.instanceOf(errors.RateLimited);
+        expect(err.retryAfter).to.equal(30);
+        expect(err.package).to.equal('foo');
+
+        next();
+      });
+    });
+
+    it('returns a MirrorsExhausted when all registries fail', function (next) {
+      status(502);
+
+      reg.users.get('foo', function (err) {
+        expect(err).to.be.instanceOf(errors.MirrorsExhausted);
+        expect(err.statusCode).to.equal(502);
+        expect(err.url).to.equal(uri);
+
+        next();
+      });
+    });
+
+    describe('one-time passwords', function () {
+      var requests;
+
+      beforeEach(function () {
+        requests = [];
+        respond = function (req, res) {
+          requests.push(req.headers);
+
+          if ('GET' === req.method) {
+            return res.end(JSON.stringify({ _id: 'foo', _rev: '1-abc', versions: { '1.0.0': {} } }));
+          }
+
+          if (req.headers['npm-otp'] !== '123456') {
+            res.statusCode = 401;
+            res.setHeader('WWW-Authenticate', 'OTP');
+            return res.end(JSON.stringify({ error: 'otp required' }));
+          }
+
+          res.end(JSON.stringify({ ok: true }));
+        };
+      });
+
+      it('returns an OTPRequired without a one-time password', function (next) {
+        reg.packages.deprecate('foo', '*', 'nope', function (err) {
+          expect(err).to.be.instanceOf(errors.OTPRequired);
+          expect(err.statusCode).to.equal(401);
+          expect(err.package).to.equal('foo');
+
+          next();
+        });
+      });
+
+      it('retries writes with the one-time password', function (next) {
+        reg.otp = function (fn) { fn(undefined, '123456'); };
+
+        reg.packages.deprecate('foo', '*', 'nope', function (err, data) {
+          if (err) return next(err);
+
+          expect(data[0].ok).to.equal(true);
+          expect(requests[requests.length - 1]['npm-otp']).to.equal('123456');
+          expect(requests[0]['npm-otp']).to.equal(undefined);
+
+          next();
+        });
+      });
+
+      it('only asks once for the one-time password', function (next) {
+        var asked = 0;
+
+        reg.otp = function (fn) { asked++; fn(undefined, '000000'); };
+
+        reg.packages.deprecate('foo', '*', 'nope', function (err) {
+          expect(err).to.be.instanceOf(errors.OTPRequired);
+          expect(asked).to.equal(1);
+
+          next();
+        });
+      });
+    });
+
+    it('returns an InvalidInput for invalid arguments', function (next) {
+      reg.packages.range('foo', 'not a range', function (err) {
+        expect(err).to.be.instanceOf(errors.InvalidInput);
+        expect(err.statusCode).to.equal(400);
+        expect(err.package).to.equal('foo');
+
+        next();
+      });
+    });
+  });
+});
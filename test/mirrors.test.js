@@ -0,0 +1,233 @@
+describe('.mirrors', function () {
+  'use strict';
+
+  var chai = require('chai')
+    , expect = chai.expect;
+
+  var Registry = require('../')
+    , Mirrors = require('../mirrors')
+    , mock = require('./mock');
+
+  describe('health', function () {
+    var health;
+
+    beforeEach(function () {
+      health = new Mirrors({ threshold: 2, cooldown: 20 });
+    });
+
+    it('keeps the registry first and prefers the fastest mirror', function () {
+      health.success('http://slow/', 300);
+      health.success('http://fast/', 10);
+
+      expect(health.order([
+        'http://registry/', 'http://slow/', 'http://unknown/', 'http://fast/'
+      ])).to.deep.equal([
+        'http://registry/', 'http://fast/', 'http://slow/', 'http://unknown/'
+      ]);
+    });
+
+    it('opens the circuit after consecutive failures', function (next) {
+      health.failure('http://registry/', new Error('nope'));
+      expect(health.state('http://registry/')).to.equal('closed');
+
+      health.failure('http://registry/', new Error('nope'));
+      expect(health.state('http://registry/')).to.equal('open');
+      expect(health.order(['http://registry/', 'http://mirror/'])).to.deep.equal(['http://mirror/']);
+
+      setTimeout(function () {
+        expect(health.state('http://registry/')).to.equal('half-open');
+
+        health.success('http://registry/', 5);
+        expect(health.state('http://registry/')).to.equal('closed');
+
+        next();
+      }, 30);
+    });
+
+    it('uses every mirror when none of them is healthy', function () {
+      ['http://registry/', 'http://mirror/'].forEach(function (url) {
+        health.failure(url);
+        health.failure(url);
+      });
+
+      expect(health.order(['http://registry/', 'http://mirror/'])).to.deep.equal([
+        'http://registry/', 'http://mirror/'
+      ]);
+    });
+
+    it('detects outdated package documents of mirrors', function () {
+      var registry = 'http://registry/';
+
+      expect(health.stale(registry, registry, { _id: 'foo', _rev: '3-a', versions: {} })).to.equal(false);
+      expect(health.stale(registry, 'http://mirror/', { _id: 'foo', _rev: '2-b', versions: {} })).to.equal(true);
+      expect(health.stale(registry, 'http://mirror/', { _id: 'foo', _rev: '3-a', versions: {} })).to.equal(false);
+      expect(health.stale(registry, 'http://mirror/', { _id: 'bar', _rev: '1-a', versions: {} })).to.equal(false);
+      expect(health.stale(registry, 'http://mirror/', { rows: [] })).to.equal(false);
+    });
+
+    it('only compares the documents of mirrors with the registry', function () {
+      var registry = 'http://registry/';
+
+      expect(health.stale(registry, registry, { _id: 'foo', _rev: '3-a', versions: {} })).to.equal(false);
+      expect(health.stale(registry, 'http://ahead/', { _id: 'foo', _rev: '5-c', versions: {} })).to.equal(false);
+      expect(health.stale(registry, 'http://mirror/', { _id: 'foo', _rev: '4-b', versions: {} })).to.equal(false);
+      expect(health.stale(registry, 'http://lagging/', { _id: 'foo', _rev: '2-d', versions: {} })).to.equal(true);
+
+      expect(health.stale(registry, registry, { _id: 'foo', _rev: '2-d', versions: {} })).to.equal(false);
+      expect(health.stale(registry, 'http://lagging/', { _id: 'foo', _rev: '2-d', versions: {} })).to.equal(false);
+    });
+  });
+
+  describe('with mocked mirrors', function () {
+    var servers, reg, uris, requests;
+
+    function serve(respond, next) {
+      var server = mock(function (req, res) {
+        requests.push(servers.indexOf(server));
+        respond(req, res);
+      }, function (uri) {
+        uris.push(uri);
+        next();
+      });
+
+      servers.push(server);
+    }
+
+    beforeEach(function (next) {
+      servers = [];
+      uris = [];
+      requests = [];
+
+      var failing = false;
+
+      serve(function (req, res) {
+        if (failing) {
+          res.statusCode = 502;
+          return res.end('{}');
+        }
+
+        failing = true;
+        res.end(JSON.stringify(mock.doc('foo', ['2.0.0'], { _rev: '3-abc' })));
+      }, function () {
+        serve(function (req, res) {
+          res.end(JSON.stringify(mock.doc('foo', ['1.0.0'], { _rev: '2-def' })));
+        }, function () {
+          serve(function (req, res) {
+            setTimeout(function () {
+              res.end(JSON.stringify(mock.doc('foo', ['2.0.0'], { _rev: '3-abc' })));
+            }, 10);
+          }, function () {
+            reg = new Registry({
+              registry: uris[0],
+              mirrors: uris.slice(1),
+              stats: uris[0],
+              threshold: 2,
+              mindelay: 1,
+              maxdelay: 5,
+              retries: 1
+            });
+
+            next();
+          });
+        });
+      });
+    });
+
+    afterEach(function (next) {
+      var closing = servers.length;
+
+      servers.forEach(function (server) {
+        server.close(function () {
+          if (!--closing) next();
+        });
+      });
+    });
+
+    it('never returns outdated documents of a mirror', function (next) {
+      reg.send('foo', function (err, data) {
+        if (err) return next(err);
+        expect(data[0]._rev).to.equal('3-abc');
+
+        reg.send('foo', function (err, data) {
+          if (err) return next(err);
+
+          expect(data[0]._rev).to.equal('3-abc');
+          expect(requests).to.deep.equal([0, 0, 1, 0, 2]);
+
+          var status = reg.mirrors.status();
+
+          expect(status.map(function (mirror) {
+            return mirror.url;
+          })).to.deep.equal(uris);
+
+          expect(status[0].state).to.equal('open');
+          expect(status[0].healthy).to.equal(false);
+          expect(status[0].failures).to.equal(2);
+          expect(status[0].lastFailure).to.be.instanceOf(Date);
+
+          expect(status[1].failures).to.equal(1);
+          expect(status[1].lastError).to.contain('outdated');
+          expect(status[2].failures).to.equal(0);
+          expect(status[2].latency).to.be.a('number');
+
+          next();
+        });
+      });
+    });
+
+    it('skips mirrors with an open circuit', function (next) {
+      reg.health.failure(uris[0]);
+      reg.health.failure(uris[0]);
+      reg.health.success(uris[1], 50);
+      reg.health.success(uris[2], 5);
+
+      reg.send('foo', function (err, data) {
+        if (err) return next(err);
+
+        expect(data[0]._rev).to.equal('3-abc');
+        expect(requests).to.deep.equal([2]);
+
+        next();
+      });
+    });
+
+    it('does not count client errors as failures', function (next) {
+      serve(function (req, res) {
+        res.statusCode = 401;
+        res.end(JSON.stringify({ error: 'unauthorized' }));
+      }, function () {
+        var uri = uris[3]
+          , pending = 3;
+
+        reg = new Registry({
+          registry: uri,
+          mirrors: [],
+          threshold: 2,
+          mindelay: 1,
+          maxdelay: 5,
+          retries: 1
+        });
+
+        (function again() {
+          reg.send('foo', { cache: false }, function (err) {
+            expect(err).to.be.instanceOf(Error);
+            if (--pending) return again();
+
+            var status = reg.mirrors.status();
+
+            expect(status[0].url).to.equal(uri);
+            expect(status[0].state).to.not.equal('open');
+            expect(status[0].failures).to.equal(0);
+
+            next();
+          });
+        }());
+      });
+    });
+
+    it('keeps the mirrors a list of URLs', function () {
+      expect(reg.mirrors).to.deep.equal(uris.slice(1));
+      expect(Object.keys(reg.mirrors)).to.deep.equal(['0', '1']);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+var http = require('http');
+
+/**
+ * Start a mocked registry for the tests. The JSON bodies of the requests are
+ * parsed as `req.body` and every request is recorded in `server.requests`
+ * before it's given to the handler. The responses default to JSON.
+ *
+ * @param {Function} handler Receives the request and response.
+ * @param {Function} fn Receives the URL of the registry once it's listening.
+ * @returns {Server}
+ * @api private
+ */
+function mock(handler, fn) {
+  var server = http.createServer(function request(req, res) {
+    var body = '';
+
+    req.on('data', function data(chunk) { body += chunk; });
+    req.on('end', function end() {
+      try { req.body = body && JSON.parse(body); }
+      catch (e) { req.body = body; }
+
+      server.requests.push({ method: req.method, url: req.url, headers: req.headers, body: req.body });
+      res.setHeader('Content-Type', 'application/json');
+
+      handler(req, res);
+    });
+  });
+
+  server.requests = [];
+  server.listen(0, function listening() {
+    fn('http://localhost:'+ server.address().port +'/');
+  });
+
+  return server;
+}
+
+/**
+ * Create the release of a package as it's stored in the registry.
+ *
+ * @param {String} name The name of the package.
+ * @param {String} version The version of the release.
+ * @param {Object} data Optional properties of the release.
+ * @returns {Object}
+ * @api private
+ */
+mock.release = function release(name, version, data) {
+  var result = {
+    name: name,
+    version: version,
+    dist: {
+      tarball: 'http://localhost/'+ name +'/-/'+ name +'-'+ version +'.tgz',
+      integrity: 'sha512-'+ name + version
+    }
+  };
+
+  Object.keys(data || {}).forEach(function each(key) {
+    result[key] = data[key];
+  });
+
+  return result;
+};
+
+/**
+ * Create the registry document of a package. The last of the versions is the
+ * `latest` release, the versions can also be an object with the properties of
+ * every release.
+ *
+ * @param {String} name The name of the package.
+ * @param {Array|Object} versions The versions of the package.
+ * @param {Object} data Optional properties of the document.
+ * @returns {Object}
+ * @api private
+ */
+mock.doc = function doc(name, versions, data) {
+  var releases = Array.isArray(versions) ? versions.reduce(function reduce(memo, version) {
+    memo[version] = undefined;
+    return memo;
+  }, {}) : versions
+    , result;
+
+  result = {
+    _id: name,
+    name: name,
+    'dist-tags': { latest: Object.keys(releases).pop() },
+    versions: Object.keys(releases).reduce(function reduce(memo, version) {
+      memo[version] = mock.release(name, version, releases[version]);
+      return memo;
+    }, {})
+  };
+
+  Object.keys(data || {}).forEach(function each(key) {
+    result[key] = data[key];
+  });
+
+  return result;
+};
+
+//
+// Expose the mocked registry.
+//
+module.exports = mock;
@@ -5,7 +5,8 @@ describe('npm-registry', function () {
     , expect = chai.expect;
 
   var Registry = require('../')
-    , registry = new Registry();
+    , registry = new Registry()
+    , mock = require('./mock');
 
   //
   // The module name we want to use for testing, it shouldn't matter which
@@ -27,6 +28,104 @@ describe('npm-registry', function () {
     expect(reg.authorization).to.be.a('string');
   });
 
+  it('authorizes the registry with the user/pass', function () {
+    expect(registry.authorize(registry.api)).to.equal(undefined);
+
+    var reg = new Registry({ user: 'foo', password: 'bar' });
+
+    expect(reg.authorize(reg.api)).to.equal('Basic '+ new Buffer('foo:bar').toString('base64'));
+    expect(reg.authorization).to.equal(reg.authorize(reg.api));
+  });
+
+  it('base64 encodes a Buffer as authorization', function () {
+    var reg = new Registry({ authorization: new Buffer('foo:bar') });
+
+    expect(reg.authorize(reg.api)).to.equal('Basic '+ new Buffer('foo:bar').toString('base64'));
+  });
+
+  it('sets bearer authorization when provided with a token', function () {
+    var reg = new Registry({ token: 'secret' });
+
+    expect(reg.authorize(reg.api)).to.equal('Bearer secret');
+    expect(reg.authorize(reg.api +'-/user/org.couchdb.user:foo')).to.equal('Bearer secret');
+  });
+
+  it('scopes the credentials to their registry', function () {
+    var reg = new Registry({
+      registry: Registry.mirrors.npmjs,
+      token: 'public',
+      credentials: {
+        'https://npm.ourco.com/': { token: 'private' },
+        '//npm.ourco.com/nested/': 'nested'
+      }
+    });
+
+    expect(reg.authorize(Registry.mirrors.npmjs)).to.equal('Bearer public');
+    expect(reg.authorize('https://npm.ourco.com/')).to.equal('Bearer private');
+    expect(reg.authorize('https://npm.ourco.com/nested/foo')).to.equal('Bearer nested');
+
+    reg.mirrors.forEach(function (mirror) {
+      if (mirror === Registry.mirrors.npmjs) return;
+      expect(reg.authorize(mirror)).to.equal(undefined);
+    });
+  });
+
+  it('does not downgrade to mirrors for authorized registries', function (next) {
+    var reg = new Registry({ token: 'secret' });
+
+    reg.downgrade([reg.api].concat(reg.mirrors), function (err, api, downgrade) {
+      if (!err) return downgrade(new Error('failed'));
+
+      expect(api).to.equal(reg.api);
+      next();
+    });
+  });
+
+  it('reads the credentials from a npmrc file', function () {
+    var reg = new Registry({
+      npmrc: __dirname +'/fixtures/npmrc'
+    });
+
+    expect(reg.api).to.equal('https://registry.npmjs.org/');
+    expect(reg.registry('@ourco/foo')).to.equal('https://npm.ourco.com/');
+    expect(reg.authorize(reg.api)).to.equal('Bearer public');
+    expect(reg.authorize('https://npm.ourco.com/')).to.equal('Bearer private');
+    expect(reg.authorize('https://other.com/')).to.equal(
+      'Basic '+ new Buffer('foo:bar').toString('base64')
+    );
+  });
+
+  it('ignores a npmrc file that does not exist', function () {
+    var reg = new Registry({
+      npmrc: __dirname +'/fixtures/missing'
+    });
+
+    expect(reg.api).to.equal(Registry.mirrors.nodejitsu);
+    expect(reg.authorization).to.equal(undefined);
+  });
+
+  it('sends json bodies as they are', function (next) {
+    var body = { method: 'DELETE', api: 'http://example.com/', headers: { foo: 'bar' }, package: 'bar' }
+      , server;
+
+    server = mock(function (req, res) {
+      res.end(JSON.stringify({ ok: true }));
+    }, function (uri) {
+      var reg = new Registry({ registry: uri, mirrors: [] });
+
+      reg.send('foo', { method: 'PUT', json: body }, function (err) {
+        server.close();
+        if (err) return next(err);
+
+        expect(server.requests[0].method).to.equal('PUT');
+        expect(server.requests[0].url).to.equal('/foo');
+        expect(server.requests[0].body).to.deep.equal(body);
+
+        next();
+      });
+    });
+  });
+
   it('defaults to Nodejitsu\'s replica', function () {
     expect(registry.api).to.equal(Registry.mirrors.nodejitsu);
   });
@@ -36,6 +135,19 @@ describe('npm-registry', function () {
     expect(reg.api).to.equal(Registry.mirrors.strongloop);
   });
 
+  it('routes scoped packages to the registry of their scope', function () {
+    var reg = new Registry({
+      registry: Registry.mirrors.npmjs,
+      scopes: { '@ourco': 'https://npm.ourco.com', 'other': { url: 'https://other.com/' } }
+    });
+
+    expect(reg.registry('@ourco/foo')).to.equal('https://npm.ourco.com/');
+    expect(reg.registry('@ourco/foo@1.0.0')).to.equal('https://npm.ourco.com/');
+    expect(reg.registry('@other/foo')).to.equal('https://other.com/');
+    expect(reg.registry('@public/foo')).to.equal(Registry.mirrors.npmjs);
+    expect(reg.registry('foo')).to.equal(Registry.mirrors.npmjs);
+  });
+
   it('sets api mirrors by default', function () {
     var mirrors = Object.keys(Registry.mirrors);
 
@@ -0,0 +1,206 @@
+describe('.orgs', function () {
+  'use strict';
+
+  var chai = require('chai')
+    , expect = chai.expect;
+
+  var Registry = require('../')
+    , mock = require('./mock')
+    , server, reg, requests, responses;
+
+  beforeEach(function (next) {
+    responses = {
+      '/-/org/ourco/user': { alice: 'owner', bob: 'developer' },
+      '/-/org/ourco/team': ['ourco:developers', 'ourco:owners'],
+      '/-/team/ourco/developers/user': ['alice', 'bob'],
+      '/-/team/ourco/developers/package': { '@ourco/app': 'write', '@ourco/lib': 'read' }
+    };
+
+    server = mock(function (req, res) {
+      if ('PUT' === req.method && '/-/org/ourco/user' === req.url) {
+        return res.end(JSON.stringify({ org: { name: 'ourco', size: 3 }, user: 'carol', role: 'admin' }));
+      }
+
+      if ('GET' !== req.method) return res.end(JSON.stringify({ ok: true }));
+      res.end(JSON.stringify(responses[req.url] || {}));
+    }, function (uri) {
+      reg = new Registry({
+        registry: uri,
+        mirrors: []
+      });
+
+      next();
+    });
+
+    requests = server.requests;
+  });
+
+  afterEach(function (next) {
+    server.close(next);
+  });
+
+  it('has an orgs endpoint', function () {
+    expect(reg.orgs).to.be.a('object');
+  });
+
+  describe('members', function () {
+    it('lists the normalized members with their role', function (next) {
+      reg.orgs.members('@ourco', function (err, members) {
+        if (err) return next(err);
+
+        expect(requests[0].url).to.equal('/-/org/ourco/user');
+        expect(members).to.deep.equal([
+          { name: 'alice', role: 'owner' },
+          { name: 'bob', role: 'developer' }
+        ]);
+
+        next();
+      });
+    });
+
+    it('adds a member with a role', function (next) {
+      reg.orgs.add('ourco', 'carol', 'admin', function (err, member) {
+        if (err) return next(err);
+
+        expect(requests[0].method).to.equal('PUT');
+        expect(requests[0].body).to.deep.equal({ user: 'carol', role: 'admin' });
+        expect(member[0]).to.deep.equal({ name: 'carol', role: 'admin' });
+
+        next();
+      });
+    });
+
+    it('refuses unknown roles', function (next) {
+      reg.orgs.add('ourco', 'carol', 'boss', function (err) {
+        expect(err).to.be.instanceOf(Registry.errors.InvalidInput);
+        expect(requests).to.have.length(0);
+
+        next();
+      });
+    });
+
+    it('removes a member', function (next) {
+      reg.orgs.remove('ourco', 'bob', function (err) {
+        if (err) return next(err);
+
+        expect(requests[0].method).to.equal('DELETE');
+        expect(requests[0].url).to.equal('/-/org/ourco/user');
+        expect(requests[0].body).to.deep.equal({ user: 'bob' });
+
+        next();
+      });
+    });
+  });
+
+  describe('teams', function () {
+    it('lists the teams', function (next) {
+      reg.orgs.teams('ourco').then(function (teams) {
+        expect(teams).to.deep.equal(['ourco:developers', 'ourco:owners']);
+        next();
+      }).catch(next);
+    });
+
+    it('creates and deletes teams', function (next) {
+      reg.orgs.create('@ourco:testers', 'QA', function (err) {
+        if (err) return next(err);
+
+        expect(requests[0].method).to.equal('PUT');
+        expect(requests[0].url).to.equal('/-/org/ourco/team');
+        expect(requests[0].body).to.deep.equal({ name: 'testers', description: 'QA' });
+
+        reg.orgs.destroy('ourco:testers', function (err) {
+          if (err) return next(err);
+
+          expect(requests[1].method).to.equal('DELETE');
+          expect(requests[1].url).to.equal('/-/team/ourco/testers');
+
+          next();
+        });
+      });
+    });
+
+    it('refuses invalid team names', function (next) {
+      reg.orgs.destroy('testers', function (err) {
+        expect(err).to.be.instanceOf(Registry.errors.InvalidInput);
+        next();
+      });
+    });
+
+    it('manages the members of a team', function (next) {
+      reg.orgs.team('@ourco:developers', function (err, users) {
+        if (err) return next(err);
+
+        expect(users).to.deep.equal([{ name: 'alice' }, { name: 'bob' }]);
+
+        reg.orgs.join('@ourco:developers', 'carol', function (err) {
+          if (err) return next(err);
+
+          expect(requests[1].method).to.equal('PUT');
+          expect(requests[1].url).to.equal('/-/team/ourco/developers/user');
+          expect(requests[1].body).to.deep.equal({ user: 'carol' });
+
+          reg.orgs.leave('@ourco:developers', 'bob', function (err) {
+            if (err) return next(err);
+
+            expect(requests[2].method).to.equal('DELETE');
+            expect(requests[2].body).to.deep.equal({ user: 'bob' });
+
+            next();
+          });
+        });
+      });
+    });
+  });
+
+  describe('package access', function () {
+    it('lists the packages of a team with their permissions', function (next) {
+      reg.orgs.packages('@ourco:developers', function (err, packages) {
+        if (err) return next(err);
+
+        expect(packages).to.deep.equal([
+          { name: '@ourco/app', permissions: 'read-write' },
+          { name: '@ourco/lib', permissions: 'read-only' }
+        ]);
+
+        next();
+      });
+    });
+
+    it('grants and revokes access', function (next) {
+      reg.orgs.grant('@ourco:developers', '@ourco/app', 'read-write', function (err) {
+        if (err) return next(err);
+
+        expect(requests[0].method).to.equal('PUT');
+        expect(requests[0].url).to.equal('/-/team/ourco/developers/package');
+        expect(requests[0].body).to.deep.equal({ package: '@ourco/app', permissions: 'read-write' });
+
+        reg.orgs.revoke('@ourco:developers', '@ourco/app', function (err) {
+          if (err) return next(err);
+
+          expect(requests[1].method).to.equal('DELETE');
+          expect(requests[1].body).to.deep.equal({ package: '@ourco/app' });
+
+          next();
+        });
+      });
+    });
+
+    it('defaults to read-only access', function (next) {
+      reg.orgs.grant('@ourco:developers', '@ourco/lib', function (err) {
+        if (err) return next(err);
+
+        expect(requests[0].body.permissions).to.equal('read-only');
+        next();
+      });
+    });
+
+    it('refuses invalid permissions', function (next) {
+      reg.orgs.grant('@ourco:developers', '@ourco/lib', 'admin', function (err) {
+        expect(err).to.be.instanceOf(Registry.errors.InvalidInput);
+        expect(err.package).to.equal('@ourco/lib');
+
+        next();
+      });
+    });
+  });
+});
@@ -5,7 +5,8 @@ describe('.packages', function () {
     , expect = chai.expect;
 
   var Registry = require('../')
-    , registry = new Registry();
+    , registry = new Registry()
+    , mock = require('./mock');
 
   //
   // The module name we want to use for testing, it shouldn't matter which
@@ -123,4 +124,1106 @@ describe('.packages', function () {
       });
     });
   });
+
+  describe('#publish', function () {
+    var server, reg, requests, doc;
+
+    var manifest = { name: '@scope/name', version: '1.0.0', description: 'foo' }
+      , tarball = new Buffer('tarball');
+
+    beforeEach(function (next) {
+      doc = undefined;
+
+      server = mock(function (req, res) {
+        if ('GET' === req.method) return res.end(JSON.stringify(doc));
+        if (doc && !~req.url.indexOf('/-rev/')) {
+          res.statusCode = 409;
+          return res.end(JSON.stringify({ error: 'conflict' }));
+        }
+
+        res.statusCode = 201;
+        res.end(JSON.stringify({ ok: true }));
+      }, function (uri) {
+        reg = new Registry({
+          registry: uri,
+          mirrors: [],
+          token: 'secret'
+        });
+
+        next();
+      });
+
+      requests = server.requests;
+    });
+
+    afterEach(function (next) {
+      server.close(next);
+    });
+
+    it('publishes the full registry document', function (next) {
+      reg.packages.publish(manifest, tarball, { tag: 'beta' }, function (err) {
+        if (err) return next(err);
+
+        var req = requests[0]
+          , release = req.body.versions['1.0.0'];
+
+        expect(requests).to.have.length(1);
+        expect(req.method).to.equal('PUT');
+        expect(req.url).to.equal('/@scope%2fname');
+        expect(req.headers.authorization).to.equal('Bearer secret');
+        expect(req.body.name).to.equal('@scope/name');
+        expect(req.body['dist-tags']).to.deep.equal({ beta: '1.0.0' });
+        expect(req.body._attachments['@scope/name-1.0.0.tgz'].data).to.equal(tarball.toString('base64'));
+        expect(release._id).to.equal('@scope/name@1.0.0');
+        expect(release.dist.shasum).to.equal(require('crypto').createHash('sha1').update(tarball).digest('hex'));
+        expect(release.dist.integrity).to.match(/^sha512-/);
+        expect(release.dist.tarball).to.equal(reg.api +'@scope/name/-/@scope/name-1.0.0.tgz');
+
+        next();
+      });
+    });
+
+    it('merges the release in to an existing document', function (next) {
+      doc = { _id: '@scope/name', _rev: '1-abc', versions: { '0.0.1': {} }, 'dist-tags': { latest: '0.0.1' } };
+
+      reg.packages.publish(manifest, tarball, function (err) {
+        if (err) return next(err);
+
+        expect(requests).to.have.length(3);
+        expect(requests[1].url).to.equal('/@scope%2fname?write=true');
+        expect(requests[2].url).to.equal('/@scope%2fname/-rev/1-abc');
+        expect(requests[2].body.versions).to.have.keys(['0.0.1', '1.0.0']);
+        expect(requests[2].body['dist-tags'].latest).to.equal('1.0.0');
+
+        next();
+      });
+    });
+
+    it('merges the release in to the latest revision of the document', function (next) {
+      var cached = new Registry({ registry: reg.api, mirrors: [], token: 'secret', cache: true });
+
+      doc = { _id: '@scope/name', _rev: '1-abc', versions: { '0.0.1': {} }, 'dist-tags': { latest: '0.0.1' } };
+
+      cached.send('@scope%2fname?write=true', function (err) {
+        if (err) return next(err);
+
+        doc._rev = '2-def';
+
+        cached.packages.publish(manifest, tarball, function (err) {
+          if (err) return next(err);
+
+          expect(requests[requests.length - 1].url).to.equal('/@scope%2fname/-rev/2-def');
+          next();
+        });
+      });
+    });
+
+    it('returns a Conflict when the version already exists', function (next) {
+      doc = { _id: '@scope/name', _rev: '1-abc', versions: { '1.0.0': {} } };
+
+      reg.packages.publish(manifest, tarball, function (err) {
+        expect(err).to.be.instanceOf(Registry.errors.Conflict);
+        expect(err.statusCode).to.equal(409);
+        expect(err.package).to.equal('@scope/name');
+        expect(requests).to.have.length(2);
+
+        next();
+      });
+    });
+  });
+
+  describe('with a mocked registry', function () {
+    var conflict, server, reg, requests, files, docs, doc;
+
+    beforeEach(function (next) {
+      conflict = false;
+      files = {};
+      docs = {};
+      doc = undefined;
+
+      server = mock(function (req, res) {
+        if (req.url in files) {
+          var file = files[req.url][req.headers.host.split(':')[0]] || files[req.url];
+
+          if ('string' !== typeof file) res.statusCode = 500;
+          return res.end('string' === typeof file ? file : '');
+        }
+
+        var version = doc && 'GET' === req.method && req.url.split('/')[2]
+          , name = decodeURIComponent(req.url.slice(1));
+
+        if (~(req.headers.accept || '').indexOf('install-v1') && (name +'#abbreviated') in docs) {
+          name += '#abbreviated';
+        }
+
+        if (name in docs) {
+          res.statusCode = docs[name] ? 200 : 404;
+          return res.end(JSON.stringify(docs[name] || { error: 'not_found' }));
+        }
+
+        if (version) return res.end(JSON.stringify(doc.versions[doc['dist-tags'][version] || version]));
+        if ('GET' === req.method) return res.end(JSON.stringify(doc));
+        if (conflict || doc && !~req.url.indexOf('/-rev/')) {
+          res.statusCode = 409;
+          return res.end(JSON.stringify({ error: 'conflict' }));
+        }
+
+        res.statusCode = 201;
+        res.end(JSON.stringify({ ok: true, rev: '2-def' }));
+      }, function (uri) {
+        reg = new Registry({
+          registry: uri,
+          mirrors: [],
+          token: 'secret'
+        });
+
+        next();
+      });
+
+      requests = server.requests;
+    });
+
+    afterEach(function (next) {
+      server.close(next);
+    });
+
+    describe('abbreviated metadata', function () {
+      var accept = 'application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8';
+
+      beforeEach(function () {
+        docs.foo = {
+          name: 'foo',
+          modified: '2015-05-05T10:00:00.000Z',
+          'dist-tags': { latest: '1.1.0' },
+          versions: {
+            '1.0.0': { name: 'foo', version: '1.0.0', dist: { tarball: 'http://localhost/foo-1.0.0.tgz' } },
+            '1.1.0': { name: 'foo', version: '1.1.0', dist: { tarball: 'http://localhost/foo-1.1.0.tgz' } }
+          }
+        };
+      });
+
+      it('requests the abbreviated metadata', function (next) {
+        reg.packages.get('foo', { abbreviated: true }, function (err, data) {
+          if (err) return next(err);
+
+          data = data[0];
+
+          expect(requests[0].headers.accept).to.equal(accept);
+          expect(requests[0].url).to.equal('/foo');
+          expect(data.abbreviated).to.equal(true);
+          expect(data.modified).to.be.instanceOf(Date);
+          expect(data.modified.toISOString()).to.equal('2015-05-05T10:00:00.000Z');
+          expect(data.created).to.equal(undefined);
+          expect(data.releases).to.have.keys(['1.0.0', '1.1.0']);
+
+          next();
+        });
+      });
+
+      it('requests the full document by default', function (next) {
+        reg.packages.get('foo', function (err, data) {
+          if (err) return next(err);
+
+          expect(requests[0].headers.accept).to.equal('application/json');
+          expect(data[0].abbreviated).to.equal(undefined);
+          expect(data[0].created).to.be.instanceOf(Date);
+
+          next();
+        });
+      });
+
+      it('does not flag full documents from registries without support', function (next) {
+        docs.foo.time = { created: '2014-01-01T00:00:00.000Z' };
+
+        reg.packages.get('foo', { abbreviated: true }, function (err, data) {
+          if (err) return next(err);
+
+          expect(data[0].abbreviated).to.equal(undefined);
+          expect(data[0].created.toISOString()).to.equal('2014-01-01T00:00:00.000Z');
+
+          next();
+        });
+      });
+
+      it('retrieves the releases', function (next) {
+        reg.packages.releases('foo', { abbreviated: true }, function (err, releases) {
+          if (err) return next(err);
+
+          expect(releases).to.have.keys(['1.0.0', '1.1.0', 'latest']);
+          expect(releases['1.0.0'].abbreviated).to.equal(true);
+          expect(releases['1.0.0'].created).to.equal(undefined);
+          expect(releases['1.0.0'].date).to.equal(undefined);
+          expect(releases.latest.version).to.equal('1.1.0');
+
+          next();
+        });
+      });
+
+      it('resolves ranges', function (next) {
+        reg.packages.range('foo', '~1.0.0', { abbreviated: true }, function (err, release) {
+          if (err) return next(err);
+
+          expect(release.version).to.equal('1.0.0');
+          expect(release.dist.tarball).to.equal('http://localhost/foo-1.0.0.tgz');
+          expect(requests[0].headers.accept).to.equal(accept);
+
+          next();
+        });
+      });
+    });
+
+    describe('without a callback', function () {
+      beforeEach(function () {
+        docs.foo = {
+          name: 'foo',
+          'dist-tags': { latest: '1.1.0' },
+          versions: {
+            '1.0.0': { name: 'foo', version: '1.0.0' },
+            '1.1.0': { name: 'foo', version: '1.1.0' }
+          }
+        };
+      });
+
+      it('resolves with the result', function (next) {
+        reg.packages.range('foo', '~1.0.0', { abbreviated: true }).then(function (release) {
+          expect(release.version).to.equal('1.0.0');
+          next();
+        }).catch(next);
+      });
+
+      it('keeps the Assign chainable', function (next) {
+        reg.packages.get('foo').map(function (data) {
+          return data.name;
+        }).then(function (names) {
+          expect(names).to.deep.equal(['foo']);
+          next();
+        }).catch(next);
+      });
+
+      it('rejects invalid arguments', function (next) {
+        reg.packages.range('foo', 'not a range').catch(function (err) {
+          expect(err.message).to.equal('Invalid semver range');
+          expect(requests).to.have.length(0);
+
+          next();
+        });
+      });
+
+      it('calls the callback asynchronously for invalid arguments', function (next) {
+        var called = false;
+
+        reg.packages.deprecate('foo', 'not a range', 'nope', function (err) {
+          expect(err.message).to.equal('Invalid semver range');
+          expect(called).to.equal(true);
+
+          next();
+        });
+
+        called = true;
+      });
+    });
+
+    describe('#tree', function () {
+      beforeEach(function () {
+        docs.a = mock.doc('a', {
+          '1.0.0': {
+            dependencies: { b: '^1.0.0', c: '~1.0.0', d: '*' },
+            optionalDependencies: { d: '*' },
+            devDependencies: { e: '1.0.0' }
+          }
+        });
+        docs.b = mock.doc('b', {
+          '1.0.0': { dependencies: { c: '^1.0.0' } },
+          '1.1.0': { dependencies: { c: '^1.0.0', missing: '^1.0.0' } },
+          '2.0.0': {}
+        });
+        docs.c = mock.doc('c', {
+          '1.0.0': { dependencies: { a: '1.0.0' } },
+          '1.0.1': { dependencies: { a: '1.0.0' } },
+          '1.1.0': {}
+        });
+        docs.d = mock.doc('d', { '0.0.1': {} });
+        docs.e = mock.doc('e', { '1.0.0': {} });
+        docs.missing = null;
+      });
+
+      it('resolves the dependencies in to a deduplicated graph', function (next) {
+        reg.packages.tree('a', '^1.0.0', function (err, tree) {
+          if (err) return next(err);
+
+          expect(tree.root).to.equal('a@1.0.0');
+          expect(tree.packages).to.have.keys(['a@1.0.0', 'b@1.1.0', 'c@1.0.1', 'c@1.1.0', 'd@0.0.1']);
+          expect(tree.packages['a@1.0.0'].dependencies).to.deep.equal({ b: 'b@1.1.0', c: 'c@1.0.1' });
+          expect(tree.packages['a@1.0.0'].optionalDependencies).to.deep.equal({ d: 'd@0.0.1' });
+          expect(tree.packages['b@1.1.0'].dependencies).to.deep.equal({ c: 'c@1.1.0', missing: null });
+          expect(JSON.parse(JSON.stringify(tree))).to.deep.equal(tree);
+
+          next();
+        });
+      });
+
+      it('reports the unresolvable ranges', function (next) {
+        reg.packages.tree('a@1.0.0', function (err, tree) {
+          if (err) return next(err);
+
+          expect(tree.unresolved).to.have.length(1);
+          expect(tree.unresolved[0].name).to.equal('missing');
+          expect(tree.unresolved[0].range).to.equal('^1.0.0');
+          expect(tree.unresolved[0].from).to.equal('b@1.1.0');
+
+          next();
+        });
+      });
+
+      it('detects cycles', function (next) {
+        reg.packages.tree('a', function (err, tree) {
+          if (err) return next(err);
+
+          expect(tree.cycles).to.deep.equal([['a@1.0.0', 'c@1.0.1', 'a@1.0.0']]);
+          next();
+        });
+      });
+
+      it('only fetches every package once', function (next) {
+        reg.packages.tree('a', { concurrency: 1 }, function (err) {
+          if (err) return next(err);
+
+          expect(requests.map(function (req) { return req.url; }).sort()).to.deep.equal([
+            '/a', '/b', '/c', '/d', '/missing'
+          ]);
+
+          next();
+        });
+      });
+
+      it('includes the devDependencies of the root when asked', function (next) {
+        reg.packages.tree('a', { dev: true, optional: false }, function (err, tree) {
+          if (err) return next(err);
+
+          expect(tree.packages).to.include.keys('e@1.0.0');
+          expect(tree.packages).to.not.include.keys('d@0.0.1');
+          expect(tree.packages['a@1.0.0'].devDependencies).to.deep.equal({ e: 'e@1.0.0' });
+
+          next();
+        });
+      });
+    });
+
+    describe('#lockfile', function () {
+      var manifest = {
+        name: 'app',
+        version: '1.0.0',
+        dependencies: { x: '^1.0.0', y: '^1.0.0' },
+        devDependencies: { z: '1.0.0' }
+      };
+
+      beforeEach(function () {
+        docs.x = mock.doc('x', { '1.0.0': { dependencies: { y: '^2.0.0' } } });
+        docs.y = mock.doc('y', ['1.0.0', '2.0.0']);
+        docs.z = mock.doc('z', { '1.0.0': { dependencies: { y: '^1.0.0' }, dist: {
+          tarball: 'http://localhost/z/-/z-1.0.0.tgz',
+          shasum: 'ff00'
+        }}});
+      });
+
+      it('generates a version 3 lockfile', function (next) {
+        reg.packages.lockfile(manifest, function (err, lock) {
+          if (err) return next(err);
+
+          expect(lock.name).to.equal('app');
+          expect(lock.lockfileVersion).to.equal(3);
+          expect(lock.requires).to.equal(true);
+          expect(lock).to.not.have.property('dependencies');
+          expect(lock.packages).to.have.keys([
+            '', 'node_modules/x', 'node_modules/x/node_modules/y', 'node_modules/y', 'node_modules/z'
+          ]);
+
+          expect(lock.packages['']).to.deep.equal(manifest);
+          expect(lock.packages['node_modules/x']).to.deep.equal({
+            version: '1.0.0',
+            resolved: 'http://localhost/x/-/x-1.0.0.tgz',
+            integrity: 'sha512-x1.0.0',
+            dependencies: { y: '^2.0.0' }
+          });
+          expect(lock.packages['node_modules/y'].version).to.equal('1.0.0');
+          expect(lock.packages['node_modules/x/node_modules/y'].version).to.equal('2.0.0');
+          expect(lock.packages['node_modules/z'].dev).to.equal(true);
+          expect(lock.packages['node_modules/z'].integrity).to.equal('sha1-/wA=');
+          expect(lock.packages['node_modules/y']).to.not.have.property('dev');
+
+          next();
+        });
+      });
+
+      it('does not hide a version that an ancestor depends on', function (next) {
+        docs.a = mock.doc('a', { '1.0.0': { dependencies: { x: '^1.0.0', b: '^1.0.0' } } });
+        docs.x = mock.doc('x', { '1.0.0': { dependencies: { b: '^2.0.0' } }, '2.0.0': {} });
+        docs.b = mock.doc('b', ['1.0.0', '2.0.0']);
+
+        reg.packages.lockfile({
+          name: 'app',
+          version: '1.0.0',
+          dependencies: { a: '^1.0.0', x: '^2.0.0' }
+        }, function (err, lock) {
+          if (err) return next(err);
+
+          expect(lock.packages).to.not.have.property('node_modules/a/node_modules/b');
+          expect(lock.packages['node_modules/b'].version).to.equal('1.0.0');
+          expect(lock.packages['node_modules/x'].version).to.equal('2.0.0');
+          expect(lock.packages['node_modules/a/node_modules/x'].version).to.equal('1.0.0');
+          expect(lock.packages['node_modules/a/node_modules/x/node_modules/b'].version).to.equal('2.0.0');
+
+          next();
+        });
+      });
+
+      it('uses an empty name for a package.json without a name', function (next) {
+        reg.packages.lockfile({ dependencies: { y: '^1.0.0' } }, function (err, lock) {
+          if (err) return next(err);
+
+          expect(lock.name).to.equal('');
+          expect(lock.packages[''].name).to.equal('');
+          expect(lock.packages['node_modules/y'].version).to.equal('1.0.0');
+
+          reg.packages.tree({ dependencies: { y: '^1.0.0' } }, function (err, tree) {
+            if (err) return next(err);
+
+            expect(tree.root).to.equal('@0.0.0');
+            expect(tree.packages[tree.root].name).to.equal('');
+
+            next();
+          });
+        });
+      });
+
+      it('includes the nested dependencies in a version 2 lockfile', function (next) {
+        reg.packages.lockfile(manifest, { lockfileVersion: 2 }, function (err, lock) {
+          if (err) return next(err);
+
+          expect(lock.lockfileVersion).to.equal(2);
+          expect(lock.dependencies.x).to.deep.equal({
+            version: '1.0.0',
+            resolved: 'http://localhost/x/-/x-1.0.0.tgz',
+            integrity: 'sha512-x1.0.0',
+            requires: { y: '^2.0.0' },
+            dependencies: {
+              y: {
+                version: '2.0.0',
+                resolved: 'http://localhost/y/-/y-2.0.0.tgz',
+                integrity: 'sha512-y2.0.0'
+              }
+            }
+          });
+          expect(lock.dependencies.z.dev).to.equal(true);
+
+          next();
+        });
+      });
+
+      it('generates the same document for a shrinkwrap', function (next) {
+        reg.packages.lockfile(manifest, function (err, lock) {
+          if (err) return next(err);
+
+          reg.packages.shrinkwrap(manifest, function (err, shrinkwrap) {
+            if (err) return next(err);
+
+            expect(shrinkwrap).to.deep.equal(lock);
+            next();
+          });
+        });
+      });
+
+      it('fails when a dependency cannot be resolved', function (next) {
+        docs.y = null;
+
+        reg.packages.lockfile(manifest, function (err) {
+          expect(err).to.be.an.instanceOf(Error);
+          expect(err.message).to.contain('y@^1.0.0');
+
+          next();
+        });
+      });
+
+      it('refuses unsupported lockfile versions', function (next) {
+        reg.packages.lockfile(manifest, { lockfileVersion: 1 }, function (err) {
+          expect(err.message).to.contain('lockfileVersion');
+          next();
+        });
+      });
+    });
+
+    describe('#tarball', function () {
+      var crypto = require('crypto')
+        , tarball = 'tarball';
+
+      beforeEach(function () {
+        doc = {
+          _id: 'foo',
+          license: 'MIT',
+          'dist-tags': { latest: '1.0.0' },
+          time: {},
+          versions: {
+            '1.0.0': {
+              name: 'foo',
+              version: '1.0.0',
+              license: 'MIT',
+              dist: {
+                tarball: reg.api +'foo/-/foo-1.0.0.tgz',
+                shasum: crypto.createHash('sha1').update(tarball).digest('hex'),
+                integrity: 'sha512-'+ crypto.createHash('sha512').update(tarball).digest('base64')
+              }
+            }
+          }
+        };
+
+        files['/foo/-/foo-1.0.0.tgz'] = tarball;
+      });
+
+      function read(stream, fn) {
+        var data = '';
+
+        stream.on('data', function (chunk) { data += chunk; });
+        stream.on('error', fn);
+        stream.on('end', function () { fn(undefined, data); });
+      }
+
+      it('streams the tarball of the resolved range', function (next) {
+        read(reg.packages.tarball('foo', '^1.0.0'), function (err, data) {
+          if (err) return next(err);
+
+          expect(data).to.equal(tarball);
+          expect(requests[requests.length - 1].url).to.equal('/foo/-/foo-1.0.0.tgz');
+
+          next();
+        });
+      });
+
+      it('calls the callback with the verified release', function (next) {
+        reg.packages.tarball('foo@latest', function (err, release) {
+          if (err) return next(err);
+
+          expect(release.version).to.equal('1.0.0');
+          next();
+        }).resume();
+      });
+
+      it('emits an IntegrityError when the tarball does not match', function (next) {
+        files['/foo/-/foo-1.0.0.tgz'] = 'tempered';
+
+        read(reg.packages.tarball('foo', '1.0.0'), function (err) {
+          expect(err).to.be.instanceOf(Registry.errors.IntegrityError);
+          expect(err.algorithm).to.equal('sha1');
+          expect(err.package).to.equal('foo');
+
+          next();
+        });
+      });
+
+      it('downgrades to the mirrors', function (next) {
+        reg.mirrors = [reg.api.replace('localhost', '127.0.0.1')];
+        files['/foo/-/foo-1.0.0.tgz'] = { '127.0.0.1': tarball };
+        reg.credentials = {};
+
+        read(reg.packages.tarball('foo', '1.0.0'), function (err, data) {
+          if (err) return next(err);
+
+          expect(data).to.equal(tarball);
+          next();
+        });
+      });
+    });
+
+    describe('#unpublish', function () {
+      beforeEach(function () {
+        doc = {
+          _id: 'foo',
+          _rev: '1-abc',
+          'dist-tags': { latest: '1.0.0', beta: '1.1.0-beta' },
+          time: { '0.0.1': '2014-01-01', '1.0.0': '2014-02-01' },
+          versions: {
+            '0.0.1': { dist: { tarball: reg.api +'foo/-/foo-0.0.1.tgz' } },
+            '1.0.0': { dist: { tarball: reg.api +'foo/-/foo-1.0.0.tgz' } },
+            '1.1.0-beta': { dist: { tarball: reg.api +'foo/-/foo-1.1.0-beta.tgz' } }
+          }
+        };
+      });
+
+      it('removes the version and its tarball', function (next) {
+        reg.packages.unpublish('foo', '1.0.0', function (err) {
+          if (err) return next(err);
+
+          expect(requests).to.have.length(3);
+          expect(requests[0].url).to.equal('/foo?write=true');
+          expect(requests[1].method).to.equal('PUT');
+          expect(requests[1].url).to.equal('/foo/-rev/1-abc');
+          expect(requests[1].body.versions).to.have.keys(['0.0.1', '1.1.0-beta']);
+          expect(requests[1].body['dist-tags']).to.deep.equal({ latest: '0.0.1', beta: '1.1.0-beta' });
+          expect(requests[2].method).to.equal('DELETE');
+          expect(requests[2].url).to.equal('/foo/-/foo-1.0.0.tgz/-rev/2-def');
+
+          next();
+        });
+      });
+
+      it('removes the tarball relative to the registry', function (next) {
+        var prefixed = new Registry({ registry: reg.api +'npm/', mirrors: [], token: 'secret' });
+
+        doc.versions['1.0.0'].dist.tarball = 'https://cdn.example.com/foo/-/foo-1.0.0.tgz';
+        docs['npm/foo?write=true'] = doc;
+
+        prefixed.packages.unpublish('foo', '1.0.0', function (err) {
+          if (err) return next(err);
+
+          expect(requests[0].url).to.equal('/npm/foo?write=true');
+          expect(requests[2].method).to.equal('DELETE');
+          expect(requests[2].url).to.equal('/npm/foo/-/foo-1.0.0.tgz/-rev/2-def');
+
+          next();
+        });
+      });
+
+      it('removes the whole package without a version', function (next) {
+        reg.packages.unpublish('foo', function (err) {
+          if (err) return next(err);
+
+          expect(requests).to.have.length(2);
+          expect(requests[1].method).to.equal('DELETE');
+          expect(requests[1].url).to.equal('/foo/-rev/1-abc');
+
+          next();
+        });
+      });
+
+      it('removes the whole package when no versions remain', function (next) {
+        doc.versions = { '1.0.0': doc.versions['1.0.0'] };
+
+        reg.packages.unpublish('foo', '1.0.0', function (err) {
+          if (err) return next(err);
+
+          expect(requests).to.have.length(2);
+          expect(requests[1].method).to.equal('DELETE');
+          expect(requests[1].url).to.equal('/foo/-rev/1-abc');
+
+          next();
+        });
+      });
+
+      it('removes the version from the latest revision of the document', function (next) {
+        var cached = new Registry({ registry: reg.api, mirrors: [], cache: true, maxage: 60000 });
+
+        cached.send('foo?write=true', function (err) {
+          if (err) return next(err);
+
+          doc._rev = '2-abc';
+
+          setImmediate(function () {
+            cached.packages.unpublish('foo', '1.0.0', function (err) {
+              if (err) return next(err);
+
+              expect(requests[2].url).to.equal('/foo/-rev/2-abc');
+              next();
+            });
+          });
+        });
+      });
+
+      it('returns a Conflict for revision conflicts', function (next) {
+        conflict = true;
+
+        reg.packages.unpublish('foo', '1.0.0', function (err) {
+          expect(err).to.be.instanceOf(Registry.errors.Conflict);
+          expect(err._rev).to.equal('1-abc');
+          expect(err.package).to.equal('foo');
+
+          next();
+        });
+      });
+    });
+
+    describe('verification', function () {
+      var crypto = require('crypto')
+        , keys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+        , other = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+        , slsa = 'https://slsa.dev/provenance/v1';
+
+      function sign(key, data) {
+        return crypto.sign('sha256', new Buffer(data), key).toString('base64');
+      }
+
+      function dist(version, key) {
+        var integrity = 'sha512-'+ crypto.createHash('sha512').update(version).digest('base64');
+
+        return { dist: {
+          tarball: 'http://localhost/foo-'+ version +'.tgz',
+          integrity: integrity,
+          signatures: key ? [{ keyid: 'SHA256:test', sig: sign(key, 'foo@'+ version +':'+ integrity) }] : undefined
+        }};
+      }
+
+      function bundle(version, digest, type) {
+        var payload = new Buffer(JSON.stringify({
+          _type: 'https://in-toto.io/Statement/v1',
+          subject: [{ name: 'pkg:npm/foo@'+ version, digest: { sha512: digest } }],
+          predicateType: type,
+          predicate: { buildDefinition: { externalParameters: { workflow: { repository: 'https://github.com/foo/foo' } } } }
+        }));
+
+        return {
+          predicateType: type,
+          bundle: {
+            mediaType: 'application/vnd.dev.sigstore.bundle+json;version=0.2',
+            verificationMaterial: { publicKey: { hint: 'SHA256:test' } },
+            dsseEnvelope: {
+              payload: payload.toString('base64'),
+              payloadType: 'application/vnd.in-toto+json',
+              signatures: [{
+                keyid: '',
+                sig: crypto.sign('sha256', Buffer.concat([
+                  new Buffer('DSSEv1 28 application/vnd.in-toto+json '+ payload.length +' '),
+                  payload
+                ]), keys.privateKey).toString('base64')
+              }]
+            }
+          }
+        };
+      }
+
+      beforeEach(function () {
+        var signed, digest;
+
+        docs.foo = mock.doc('foo', {
+          '1.0.0': dist('1.0.0', keys.privateKey),
+          '0.2.0': dist('0.2.0', other.privateKey),
+          '0.1.0': dist('0.1.0'),
+          '0.0.1': dist('0.0.1', keys.privateKey)
+        }, {
+          license: 'MIT',
+          'dist-tags': { latest: '1.0.0' },
+          time: {
+            '1.0.0': '2024-01-01T00:00:00.000Z',
+            '0.2.0': '2023-01-01T00:00:00.000Z',
+            '0.1.0': '2023-01-01T00:00:00.000Z',
+            '0.0.1': '2022-01-01T00:00:00.000Z'
+          }
+        });
+
+        signed = docs.foo.versions['1.0.0'];
+        digest = new Buffer(signed.dist.integrity.slice(7), 'base64').toString('hex');
+
+        signed.dist.attestations = {
+          url: reg.api +'-/npm/v1/attestations/foo@1.0.0',
+          provenance: { predicateType: slsa }
+        };
+
+        docs.foo.versions['0.2.0'].dist.signatures[0].keyid = 'SHA256:test';
+
+        docs['-/npm/v1/keys'] = { keys: [{
+          keyid: 'SHA256:test',
+          keytype: 'ecdsa-sha2-nistp256',
+          scheme: 'ecdsa-sha2-nistp256',
+          expires: '2025-01-01T00:00:00.000Z',
+          key: keys.publicKey.export({ type: 'spki', format: 'der' }).toString('base64')
+        }]};
+
+        docs['-/npm/v1/attestations/foo@1.0.0'] = { attestations: [
+          bundle('1.0.0', digest, slsa),
+          bundle('1.0.0', 'ff', 'https://github.com/npm/attestation/tree/main/specs/publish/v0.1')
+        ]};
+      });
+
+      it('verifies the signatures and provenance of the releases', function (next) {
+        reg.packages.releases('foo', { verify: true }, function (err, releases) {
+          if (err) return next(err);
+
+          var verified = releases['1.0.0'].verified;
+
+          expect(verified.signature).to.equal(true);
+          expect(verified.keyid).to.equal('SHA256:test');
+          expect(verified.provenance).to.equal(true);
+          expect(verified.attestations).to.have.length(2);
+          expect(verified.attestations[0].verified).to.equal(true);
+          expect(verified.attestations[0].predicate.buildDefinition).to.be.an('object');
+          expect(verified.attestations[1].verified).to.equal(false);
+          expect(verified.attestations[1].reason).to.contain('pkg:npm/foo@1.0.0');
+
+          expect(releases.latest.verified.signature).to.equal(true);
+          expect(releases['0.2.0'].verified.signature).to.equal(false);
+          expect(releases['0.2.0'].verified.reason).to.contain('Invalid signature');
+          expect(releases['0.1.0'].verified.signature).to.equal(false);
+          expect(releases['0.1.0'].verified.reason).to.contain('not signed');
+          expect(releases['0.0.1'].verified.signature).to.equal(true);
+          expect(releases['0.0.1'].verified.provenance).to.equal(false);
+
+          expect(requests.filter(function (req) {
+            return req.url === '/-/npm/v1/keys';
+          })).to.have.length(1);
+
+          next();
+        });
+      });
+
+      it('rejects signatures of expired keys', function (next) {
+        docs.foo.time['1.0.0'] = '2025-06-01T00:00:00.000Z';
+
+        reg.packages.release('foo', 'latest', { verify: true }, function (err, release) {
+          if (err) return next(err);
+
+          release = Array.isArray(release) ? release[0] : release;
+
+          expect(release.version).to.equal('1.0.0');
+          expect(release.date.toISOString()).to.equal('2025-06-01T00:00:00.000Z');
+          expect(release.verified.signature).to.equal(false);
+          expect(release.verified.reason).to.contain('expired');
+          expect(release.verified.provenance).to.equal(false);
+
+          next();
+        });
+      });
+
+      it('does not verify attestations that are signed with a certificate', function (next) {
+        var attestation = docs['-/npm/v1/attestations/foo@1.0.0'].attestations[0];
+
+        attestation.bundle.verificationMaterial = {
+          x509CertificateChain: { certificates: [{ rawBytes: 'MIIB' }] }
+        };
+
+        reg.packages.release('foo', '1.0.0', { verify: true }, function (err, release) {
+          if (err) return next(err);
+
+          release = Array.isArray(release) ? release[0] : release;
+
+          expect(release.verified.signature).to.equal(true);
+          expect(release.verified.provenance).to.equal(null);
+          expect(release.verified.attestations[0].verified).to.equal(null);
+          expect(release.verified.attestations[0].reason).to.contain('certificate');
+
+          next();
+        });
+      });
+
+      it('checks the keys against the publication dates of abbreviated metadata', function (next) {
+        docs['foo#abbreviated'] = {
+          name: 'foo',
+          modified: '2024-01-01T00:00:00.000Z',
+          'dist-tags': docs.foo['dist-tags'],
+          versions: docs.foo.versions
+        };
+
+        reg.packages.releases('foo', { abbreviated: true, verify: true }, function (err, releases) {
+          if (err) return next(err);
+
+          expect(releases['1.0.0'].abbreviated).to.equal(true);
+          expect(releases['1.0.0'].verified.signature).to.equal(true);
+          expect(releases['1.0.0'].verified.provenance).to.equal(true);
+          expect(releases['0.0.1'].verified.signature).to.equal(true);
+
+          next();
+        });
+      });
+
+      it('only uses the keys and attestations of the registry itself', function (next) {
+        var mirrored = new Registry({
+          registry: reg.api,
+          mirrors: [reg.api.replace('localhost', '127.0.0.1')],
+          mindelay: 1,
+          maxdelay: 5,
+          retries: 1
+        });
+
+        files['/-/npm/v1/keys'] = { '127.0.0.1': JSON.stringify(docs['-/npm/v1/keys']) };
+
+        mirrored.packages.releases('foo', { verify: true }, function (err, releases) {
+          if (err) return next(err);
+
+          expect(releases['1.0.0'].verified.signature).to.equal(false);
+          expect(releases['1.0.0'].verified.provenance).to.equal(false);
+          expect(releases['1.0.0'].verified.reason).to.contain('signing keys');
+          expect(requests.filter(function (req) {
+            return req.url === '/-/npm/v1/keys' && !req.headers.host.indexOf('127.0.0.1');
+          })).to.have.length(0);
+
+          next();
+        });
+      });
+
+      it('does not verify by default', function (next) {
+        reg.packages.releases('foo', function (err, releases) {
+          if (err) return next(err);
+
+          expect(releases['1.0.0'].verified).to.equal(undefined);
+          expect(requests).to.have.length(1);
+
+          next();
+        });
+      });
+    });
+
+    describe('#advisories', function () {
+      beforeEach(function () {
+        docs.foo = { name: 'foo', 'dist-tags': { latest: '2.0.0' }, versions: {
+          '1.0.0': { name: 'foo', version: '1.0.0' },
+          '1.0.1': { name: 'foo', version: '1.0.1' },
+          '1.1.0': { name: 'foo', version: '1.1.0' },
+          '2.0.0': { name: 'foo', version: '2.0.0' }
+        }};
+
+        docs['-/npm/v1/security/advisories/bulk'] = { foo: [{
+          id: 1,
+          title: 'Prototype pollution',
+          url: 'https://github.com/advisories/GHSA-1',
+          severity: 'high',
+          vulnerable_versions: '<1.1.0',
+          cwe: ['CWE-1321']
+        }, {
+          id: 2,
+          title: 'Regular expression denial of service',
+          url: 'https://github.com/advisories/GHSA-2',
+          severity: 'low',
+          vulnerable_versions: '>=1.0.1 <2.0.0'
+        }]};
+      });
+
+      it('returns the advisories with the vulnerable versions and the fix', function (next) {
+        reg.packages.advisories('foo', function (err, advisories) {
+          if (err) return next(err);
+
+          expect(requests[1].method).to.equal('POST');
+          expect(requests[1].url).to.equal('/-/npm/v1/security/advisories/bulk');
+          expect(requests[1].body).to.deep.equal({ foo: ['1.0.0', '1.0.1', '1.1.0', '2.0.0'] });
+
+          expect(advisories).to.have.length(2);
+          expect(advisories[0].id).to.equal(1);
+          expect(advisories[0].severity).to.equal('high');
+          expect(advisories[0].range).to.equal('<1.1.0');
+          expect(advisories[0].cwe).to.deep.equal(['CWE-1321']);
+          expect(advisories[0].versions).to.deep.equal(['1.0.0', '1.0.1']);
+          expect(advisories[0].fix).to.equal('1.1.0');
+          expect(advisories[1].versions).to.deep.equal(['1.0.1', '1.1.0']);
+          expect(advisories[1].fix).to.equal('2.0.0');
+
+          next();
+        });
+      });
+
+      it('only returns the advisories of the given version', function (next) {
+        reg.packages.advisories('foo@1.1.0', function (err, advisories) {
+          if (err) return next(err);
+
+          expect(requests[1].body).to.deep.equal({ foo: ['1.1.0'] });
+          expect(advisories).to.have.length(1);
+          expect(advisories[0].id).to.equal(2);
+          expect(advisories[0].fix).to.equal('2.0.0');
+
+          next();
+        });
+      });
+    });
+
+    describe('#deprecate', function () {
+      beforeEach(function () {
+        doc = {
+          _id: 'foo',
+          _rev: '1-abc',
+          versions: { '0.0.1': {}, '0.1.0': {}, '1.0.0': {} }
+        };
+      });
+
+      it('deprecates the versions that satisfy the range', function (next) {
+        reg.packages.deprecate('foo', '<1.0.0', 'upgrade to 1.x', function (err) {
+          if (err) return next(err);
+
+          var versions = requests[1].body.versions;
+
+          expect(requests[1].url).to.equal('/foo/-rev/1-abc');
+          expect(versions['0.0.1'].deprecated).to.equal('upgrade to 1.x');
+          expect(versions['0.1.0'].deprecated).to.equal('upgrade to 1.x');
+          expect(versions['1.0.0'].deprecated).to.equal(undefined);
+
+          next();
+        });
+      });
+
+      it('deprecates the versions of the latest revision of the document', function (next) {
+        var cached = new Registry({ registry: reg.api, mirrors: [], cache: true, maxage: 60000 });
+
+        cached.send('foo?write=true', function (err) {
+          if (err) return next(err);
+
+          doc._rev = '2-abc';
+
+          setImmediate(function () {
+            cached.packages.deprecate('foo', '<1.0.0', 'upgrade to 1.x', function (err) {
+              if (err) return next(err);
+
+              expect(requests[2].url).to.equal('/foo/-rev/2-abc');
+              next();
+            });
+          });
+        });
+      });
+
+      it('returns a Conflict for revision conflicts', function (next) {
+        conflict = true;
+
+        reg.packages.deprecate('foo', '*', 'deprecated', function (err) {
+          expect(err).to.be.instanceOf(Registry.errors.Conflict);
+          expect(err._rev).to.equal('1-abc');
+
+          next();
+        });
+      });
+    });
+
+    describe('#access', function () {
+      beforeEach(function () {
+        docs['-/package/@ourco/app/access'] = { access: 'restricted', publish_requires_tfa: false };
+        docs['-/package/@ourco/app/collaborators?format=cli'] = { bob: 'read', alice: 'read-write' };
+      });
+
+      it('returns the access settings and collaborators', function (next) {
+        reg.packages.access('@ourco/app', function (err, access) {
+          if (err) return next(err);
+
+          expect(requests.map(function (req) { return req.url; }).sort()).to.deep.equal([
+            '/-/package/@ourco%2fapp/access',
+            '/-/package/@ourco%2fapp/collaborators?format=cli'
+          ]);
+
+          expect(access).to.deep.equal({
+            name: '@ourco/app',
+            access: 'restricted',
+            tfa: false,
+            collaborators: [
+              { name: 'alice', permissions: 'read-write' },
+              { name: 'bob', permissions: 'read-only' }
+            ]
+          });
+
+          next();
+        });
+      });
+
+      it('changes the access settings', function (next) {
+        reg.packages.access('@ourco/app', { access: 'public', tfa: true }).then(function (access) {
+          expect(requests[0].method).to.equal('POST');
+          expect(requests[0].url).to.equal('/-/package/@ourco%2fapp/access');
+          expect(requests[0].body).to.deep.equal({ access: 'public', publish_requires_tfa: true });
+          expect(requests).to.have.length(3);
+          expect(access.name).to.equal('@ourco/app');
+
+          next();
+        }).catch(next);
+      });
+
+      it('refuses to restrict unscoped packages', function (next) {
+        reg.packages.access('foo', { access: 'restricted' }, function (err) {
+          expect(err).to.be.instanceOf(Registry.errors.InvalidInput);
+          expect(err.package).to.equal('foo');
+          expect(requests).to.have.length(0);
+
+          next();
+        });
+      });
+    });
+  });
 });
@@ -0,0 +1,205 @@
+describe('.search', function () {
+  'use strict';
+
+  var chai = require('chai')
+    , expect = chai.expect;
+
+  var Registry = require('../')
+    , mock = require('./mock')
+    , url = require('url')
+    , server, reg, requests, total;
+
+  function query(req) {
+    return url.parse(req.url, true).query;
+  }
+
+  beforeEach(function (next) {
+    total = 3;
+
+    server = mock(function (req, res) {
+      var from = +query(req).from
+        , size = +query(req).size
+        , objects = [];
+
+      for (var i = from; i < Math.min(from + size, total); i++) {
+        objects.push({
+          package: { name: 'pkg-'+ i, version: '1.0.'+ i, description: 'package '+ i },
+          score: { final: 1 - i / 10, detail: { quality: 1, popularity: 1, maintenance: 1 } }
+        });
+      }
+
+      res.end(JSON.stringify({ objects: objects, total: total, time: 'now' }));
+    }, function (uri) {
+      reg = new Registry({
+        registry: uri,
+        scopes: { '@ourco': uri.replace('localhost', '127.0.0.1') },
+        mirrors: []
+      });
+
+      next();
+    });
+
+    requests = server.requests;
+  });
+
+  afterEach(function (next) {
+    server.close(next);
+  });
+
+  it('has a search endpoint', function () {
+    expect(reg.search).to.be.a('object');
+  });
+
+  describe('#query', function () {
+    it('searches for packages', function (next) {
+      reg.search.query('foo', function (err, results) {
+        if (err) return next(err);
+
+        expect(requests[0].url.split('?')[0]).to.equal('/-/v1/search');
+        expect(query(requests[0])).to.deep.equal({ text: 'foo', size: '20', from: '0' });
+        expect(results).to.have.length(3);
+        expect(results[0]).to.deep.equal({
+          name: 'pkg-0',
+          description: 'package 0',
+          version: '1.0.0',
+          score: 1
+        });
+
+        next();
+      });
+    });
+
+    it('adds the qualifiers to the search text', function (next) {
+      reg.search.query({
+        text: 'foo',
+        keywords: ['a', 'b'],
+        author: 'bar',
+        maintainer: 'baz'
+      }, function (err) {
+        if (err) return next(err);
+
+        expect(query(requests[0]).text).to.equal('foo keywords:a,b author:bar maintainer:baz');
+        next();
+      });
+    });
+
+    it('searches scoped packages in the registry of the scope', function (next) {
+      reg.search.query({ scope: '@ourco' }, function (err) {
+        if (err) return next(err);
+
+        expect(query(requests[0]).text).to.equal('scope:ourco');
+        expect(requests[0].headers.host).to.contain('127.0.0.1');
+
+        next();
+      });
+    });
+
+    it('supports pagination and weights', function (next) {
+      reg.search.query('foo', {
+        from: 1,
+        size: 1,
+        quality: 0.5,
+        popularity: 1,
+        maintenance: 0
+      }, function (err, results) {
+        if (err) return next(err);
+
+        expect(query(requests[0])).to.deep.equal({
+          text: 'foo',
+          size: '1',
+          from: '1',
+          quality: '0.5',
+          popularity: '1',
+          maintenance: '0'
+        });
+        expect(results).to.have.length(1);
+        expect(results[0].name).to.equal('pkg-1');
+
+        next();
+      });
+    });
+
+    it('validates the options', function (next) {
+      var pending = 4;
+
+      function nope(msg) {
+        return function (err) {
+          expect(err).to.be.an.instanceOf(Error);
+          expect(err.message).to.contain(msg);
+
+          if (--pending) return;
+
+          expect(requests).to.have.length(0);
+          next();
+        };
+      }
+
+      reg.search.query('', nope('Missing'));
+      reg.search.query('foo', { size: 251 }, nope('size'));
+      reg.search.query('foo', { from: -1 }, nope('from'));
+      reg.search.query('foo', { quality: 2 }, nope('quality'));
+    });
+
+    it('does not throw when it is called without a callback', function () {
+      expect(function query() {
+        reg.search.query('');
+      }).to.not.throw(Error);
+    });
+    it('returns a thenable without a callback', function (next) {
+      reg.search.query('foo').then(function (results) {
+        expect(results).to.be.a('array');
+        expect(results[0].name).to.equal('pkg-0');
+
+        next();
+      }).catch(next);
+    });
+
+    it('rejects invalid queries without a callback', function (next) {
+      reg.search.query('').then(function () {
+        next(new Error('Should not resolve'));
+      }, function (err) {
+        expect(err).to.be.instanceOf(Registry.errors.InvalidInput);
+        expect(err.message).to.contain('Missing');
+        expect(requests).to.have.length(0);
+
+        next();
+      });
+    });
+  });
+
+  describe('#iterate', function () {
+    it('iterates over all pages', function (next) {
+      var iterator = reg.search.iterate('foo', { size: 2 })
+        , names = [];
+
+      total = 5;
+
+      expect(iterator[Symbol.asyncIterator]()).to.equal(iterator);
+
+      (function step() {
+        iterator.next().then(function (result) {
+          if (!result.done) {
+            names.push(result.value.name);
+            return step();
+          }
+
+          expect(names).to.deep.equal(['pkg-0', 'pkg-1', 'pkg-2', 'pkg-3', 'pkg-4']);
+          expect(requests.map(function (req) {
+            return query(req).from;
+          })).to.deep.equal(['0', '2', '4']);
+
+          next();
+        }).catch(next);
+      }());
+    });
+
+    it('rejects when the search fails', function (next) {
+      reg.search.iterate('').next().then(function () {
+        next(new Error('Should not resolve'));
+      }, function (err) {
+        expect(err.message).to.contain('Missing');
+        next();
+      });
+    });
+  });
+});
@@ -0,0 +1,61 @@
+describe('spec', function () {
+  'use strict';
+
+  var chai = require('chai')
+    , expect = chai.expect;
+
+  var spec = require('../spec');
+
+  describe('#parse', function () {
+    it('parses package names', function () {
+      var data = spec.parse('primus');
+
+      expect(data.name).to.equal('primus');
+      expect(data.scope).to.equal(undefined);
+      expect(data.version).to.equal(undefined);
+    });
+
+    it('parses versions using the @ and / sign', function () {
+      expect(spec.parse('primus@0.1.1').name).to.equal('primus');
+      expect(spec.parse('primus@0.1.1').version).to.equal('0.1.1');
+      expect(spec.parse('primus/latest').name).to.equal('primus');
+      expect(spec.parse('primus/latest').version).to.equal('latest');
+    });
+
+    it('parses scoped package names', function () {
+      var data = spec.parse('@scope/name');
+
+      expect(data.name).to.equal('@scope/name');
+      expect(data.scope).to.equal('@scope');
+      expect(data.version).to.equal(undefined);
+    });
+
+    it('parses versions of scoped packages', function () {
+      expect(spec.parse('@scope/name@1.2.3').name).to.equal('@scope/name');
+      expect(spec.parse('@scope/name@1.2.3').version).to.equal('1.2.3');
+      expect(spec.parse('@scope/name/beta').name).to.equal('@scope/name');
+      expect(spec.parse('@scope/name/beta').version).to.equal('beta');
+    });
+
+    it('parses encoded scoped package names', function () {
+      var data = spec.parse('@scope%2fname@1.2.3');
+
+      expect(data.name).to.equal('@scope/name');
+      expect(data.scope).to.equal('@scope');
+      expect(data.version).to.equal('1.2.3');
+    });
+  });
+
+  describe('#path', function () {
+    it('encodes the / of scoped packages', function () {
+      expect(spec.path('@scope/name')).to.equal('@scope%2fname');
+      expect(spec.path('@scope/name@1.2.3')).to.equal('@scope%2fname/1.2.3');
+    });
+
+    it('separates versions using a /', function () {
+      expect(spec.path('primus')).to.equal('primus');
+      expect(spec.path('primus@0.1.1')).to.equal('primus/0.1.1');
+      expect(spec.path('primus/0.1.1')).to.equal('primus/0.1.1');
+    });
+  });
+});
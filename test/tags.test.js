@@ -0,0 +1,167 @@
+describe('.tags', function () {
+  'use strict';
+
+  var chai = require('chai')
+    , expect = chai.expect;
+
+  var Registry = require('../')
+    , mock = require('./mock')
+    , server, reg, requests;
+
+  var doc = {
+    _id: '@scope/name',
+    'dist-tags': { latest: '1.0.0', beta: '1.1.0-beta', broken: 'foo' },
+    versions: { '1.0.0': {}, '1.1.0-beta': {} }
+  };
+
+  beforeEach(function (next) {
+    server = mock(function (req, res) {
+      if ('GET' !== req.method) return res.end(JSON.stringify({ ok: true }));
+      if (~req.url.indexOf('dist-tags')) return res.end(JSON.stringify(doc['dist-tags']));
+
+      res.end(JSON.stringify(doc));
+    }, function (uri) {
+      reg = new Registry({
+        registry: uri,
+        mirrors: []
+      });
+
+      next();
+    });
+
+    requests = server.requests;
+  });
+
+  afterEach(function (next) {
+    server.close(next);
+  });
+
+  it('has a tags endpoint', function () {
+    expect(reg.tags).to.be.a('object');
+  });
+
+  describe('#list', function () {
+    it('lists the normalized dist-tags', function (next) {
+      reg.tags.list('@scope/name', function (err, tags) {
+        tags = Array.isArray(tags) ? tags[0] : tags;
+        if (err) return next(err);
+
+        expect(requests[0].url).to.equal('/-/package/@scope%2fname/dist-tags');
+        expect(tags).to.deep.equal({ latest: '1.0.0', beta: '1.1.0-beta' });
+
+        next();
+      });
+    });
+  });
+
+  describe('#add', function () {
+    it('points the tag to the version', function (next) {
+      reg.tags.add('@scope/name', '1.1.0-beta', 'next', function (err, tags) {
+        if (err) return next(err);
+
+        expect(requests[1].method).to.equal('PUT');
+        expect(requests[1].url).to.equal('/-/package/@scope%2fname/dist-tags/next');
+        expect(requests[1].body).to.equal('1.1.0-beta');
+        expect(tags.next).to.equal('1.1.0-beta');
+
+        next();
+      });
+    });
+
+    it('finds versions that were published after the document was cached', function (next) {
+      var cached = new Registry({ registry: reg.api, mirrors: [], cache: true, maxage: 60000 });
+
+      cached.send('@scope%2fname', function (err) {
+        if (err) return next(err);
+
+        doc.versions['1.2.0'] = {};
+
+        setImmediate(function () {
+          cached.tags.add('@scope/name', '1.2.0', 'next', function (err, tags) {
+            delete doc.versions['1.2.0'];
+            if (err) return next(err);
+
+            expect(tags.next).to.equal('1.2.0');
+            next();
+          });
+        });
+      });
+    });
+
+    it('refuses tags that are valid semver ranges', function (next) {
+      reg.tags.add('@scope/name', '1.0.0', '^1.0.0', function (err) {
+        expect(err).to.be.instanceOf(Error);
+        expect(requests).to.have.length(0);
+
+        next();
+      });
+    });
+
+    it('does not throw when it is called without a callback', function (next) {
+      var assign;
+
+      expect(function add() {
+        assign = reg.tags.add('foo', '1.0.0', '^1');
+      }).to.not.throw(Error);
+
+      expect(assign).to.be.a('object');
+
+      setTimeout(function () {
+        expect(requests).to.have.length(0);
+        next();
+      }, 10);
+    });
+
+    it('refuses versions that do not exist', function (next) {
+      reg.tags.add('@scope/name', '2.0.0', 'next', function (err) {
+        expect(err).to.be.instanceOf(Error);
+        expect(err.message).to.contain('does not exist');
+        expect(requests).to.have.length(1);
+
+        next();
+      });
+    });
+    it('rejects invalid tags without a callback', function (next) {
+      reg.tags.add('foo', '1.0.0', '^1').then(function () {
+        next(new Error('Should not resolve'));
+      }, function (err) {
+        expect(err).to.be.instanceOf(Registry.errors.InvalidInput);
+        expect(requests).to.have.length(0);
+
+        next();
+      });
+    });
+
+    it('resolves with the dist-tags without a callback', function (next) {
+      reg.tags.add('@scope/name', '1.1.0-beta', 'next').then(function (tags) {
+        expect(tags.next).to.equal('1.1.0-beta');
+        expect(tags.latest).to.equal('1.0.0');
+
+        next();
+      }).catch(next);
+    });
+  });
+
+  describe('#remove', function () {
+    it('removes the tag', function (next) {
+      reg.tags.remove('@scope/name', 'beta', function (err, tags) {
+        if (err) return next(err);
+
+        expect(requests[1].method).to.equal('DELETE');
+        expect(requests[1].url).to.equal('/-/package/@scope%2fname/dist-tags/beta');
+        expect(tags).to.deep.equal({ latest: '1.0.0' });
+
+        next();
+      });
+    });
+
+    it('refuses to remove the latest tag', function (next) {
+      reg.tags.remove('@scope/name', 'latest', function (err) {
+        expect(err).to.be.instanceOf(Error);
+        expect(requests).to.have.length(0);
+
+        next();
+      });
+    });
+  });
+});
@@ -0,0 +1,116 @@
+describe('.tokens', function () {
+  'use strict';
+
+  var chai = require('chai')
+    , expect = chai.expect;
+
+  var Registry = require('../')
+    , mock = require('./mock')
+    , server, reg, requests;
+
+  beforeEach(function (next) {
+    server = mock(function (req, res) {
+      if ('/-/npm/v1/tokens' === req.url && 'GET' === req.method) return res.end(JSON.stringify({
+        objects: [{ key: 'a1', token: 'npm_a...', readonly: false, cidr_whitelist: null, created: '2026-01-01' }],
+        urls: { next: 'http://'+ req.headers.host +'/-/npm/v1/tokens?page=1' }
+      }));
+
+      if ('/-/npm/v1/tokens?page=1' === req.url) return res.end(JSON.stringify({
+        objects: [{ key: 'b2', token: 'npm_b...', readonly: true, cidr_whitelist: ['10.0.0.0/8'] }],
+        urls: {}
+      }));
+
+      if ('POST' === req.method && req.headers['npm-otp'] !== '123456') {
+        res.statusCode = 401;
+        return res.end(JSON.stringify({ error: 'You must provide a one-time pass.' }));
+      }
+
+      if ('POST' === req.method) return res.end(JSON.stringify({
+        key: 'c3',
+        token: 'npm_secret',
+        readonly: req.body.readonly,
+        cidr_whitelist: req.body.cidr_whitelist
+      }));
+
+      res.end(JSON.stringify({ ok: true }));
+    }, function (uri) {
+      reg = new Registry({
+        registry: uri,
+        mirrors: [],
+        mindelay: 1,
+        maxdelay: 5,
+        retries: 1,
+        token: 'secret',
+        otp: '123456'
+      });
+
+      next();
+    });
+
+    requests = server.requests;
+  });
+
+  afterEach(function (next) {
+    server.close(next);
+  });
+
+  it('has a tokens endpoint', function () {
+    expect(reg.tokens).to.be.a('object');
+  });
+
+  it('lists the tokens of all pages', function (next) {
+    reg.tokens.list(function (err, tokens) {
+      if (err) return next(err);
+
+      expect(requests).to.have.length(2);
+      expect(requests[0].headers.authorization).to.equal('Bearer secret');
+      expect(tokens.map(function (token) { return token.key; })).to.deep.equal(['a1', 'b2']);
+      expect(tokens[0].cidr).to.deep.equal([]);
+      expect(tokens[1].readonly).to.equal(true);
+      expect(tokens[1].cidr).to.deep.equal(['10.0.0.0/8']);
+
+      next();
+    });
+  });
+
+  it('creates restricted tokens using the one-time password', function (next) {
+    reg.tokens.create('password', { readonly: true, cidr: '192.168.1.0/24' }).then(function (token) {
+      var last = requests[requests.length - 1];
+
+      expect(requests[0].headers['npm-otp']).to.equal(undefined);
+      expect(last.headers['npm-otp']).to.equal('123456');
+      expect(last.body).to.deep.equal({
+        password: 'password',
+        readonly: true,
+        cidr_whitelist: ['192.168.1.0/24']
+      });
+
+      expect(token[0].key).to.equal('c3');
+      expect(token[0].token).to.equal('npm_secret');
+      expect(token[0].cidr).to.deep.equal(['192.168.1.0/24']);
+
+      next();
+    }).catch(next);
+  });
+
+  it('refuses invalid CIDR ranges', function (next) {
+    reg.tokens.create('password', { cidr: ['localhost'] }, function (err) {
+      expect(err).to.be.instanceOf(Registry.errors.InvalidInput);
+      expect(err.message).to.contain('localhost');
+      expect(requests).to.have.length(0);
+
+      next();
+    });
+  });
+
+  it('revokes a token', function (next) {
+    reg.tokens.revoke('a1', function (err) {
+      if (err) return next(err);
+
+      expect(requests[0].method).to.equal('DELETE');
+      expect(requests[0].url).to.equal('/-/npm/v1/tokens/token/a1');
+
+      next();
+    });
+  });
+});
@@ -0,0 +1,346 @@
+describe('.users', function () {
+  'use strict';
+
+  var chai = require('chai')
+    , expect = chai.expect;
+
+  var Registry = require('../')
+    , mock = require('./mock')
+    , server, reg, requests, docs, polls, failures;
+
+  beforeEach(function (next) {
+    polls = 0;
+    failures = 0;
+    docs = {
+      '/-/user/org.couchdb.user:bar': { name: 'bar', email: 'bar@example.com' },
+      '/foo?write=true': { _id: 'foo', _rev: '1-abc', maintainers: [{ name: 'foo', email: 'foo@example.com' }] },
+      '/baz?write=true': { _id: 'baz', _rev: '1-def', maintainers: [{ name: 'foo', email: 'foo@example.com' }] }
+    };
+
+    server = mock(function (req, res) {
+      if (failures && failures--) {
+        res.statusCode = 502;
+        return res.end('{}');
+      }
+
+      if ('/-/v1/login' === req.url) return res.end(JSON.stringify({
+        loginUrl: 'http://'+ req.headers.host +'/login?id=abc',
+        doneUrl: 'http://'+ req.headers.host +'/-/v1/done?id=abc'
+      }));
+
+      if ('/-/v1/done?id=abc' === req.url) {
+        if (++polls < 3) {
+          res.statusCode = 202;
+          res.setHeader('Retry-After', '0');
+          return res.end('{}');
+        }
+
+        return res.end(JSON.stringify({ token: 'secret' }));
+      }
+
+      if ('GET' !== req.method) return res.end(JSON.stringify({ ok: true }));
+      if (~req.url.indexOf('browseAuthors')) return res.end(JSON.stringify({
+        rows: [{ key: ['foo', 'foo', 'Foo'] }, { key: ['foo', 'baz', 'Baz'] }]
+      }));
+
+      if (!(req.url in docs)) {
+        res.statusCode = 404;
+        return res.end(JSON.stringify({ error: 'not_found' }));
+      }
+
+      res.end(JSON.stringify(docs[req.url]));
+    }, function (uri) {
+      reg = new Registry({
+        registry: uri,
+        mirrors: []
+      });
+
+      next();
+    });
+
+    requests = server.requests;
+  });
+
+  afterEach(function (next) {
+    server.close(next);
+  });
+
+  it('has a users endpoint', function () {
+    expect(reg.users).to.be.a('object');
+  });
+
+  describe('#add', function () {
+    it('adds the user to the maintainers of the package', function (next) {
+      reg.users.add('bar', 'foo', function (err, maintainers) {
+        if (err) return next(err);
+
+        var req = requests[2];
+
+        expect(req.method).to.equal('PUT');
+        expect(req.url).to.equal('/foo/-rev/1-abc');
+        expect(req.body._rev).to.equal('1-abc');
+        expect(req.body.maintainers).to.deep.equal([
+          { name: 'foo', email: 'foo@example.com' },
+          { name: 'bar', email: 'bar@example.com' }
+        ]);
+        expect(maintainers).to.deep.equal(req.body.maintainers);
+
+        next();
+      });
+    });
+
+    it('updates the latest revision of the package', function (next) {
+      var cached = new Registry({ registry: reg.api, mirrors: [], cache: true, maxage: 60000 });
+
+      cached.send('foo?write=true', function (err) {
+        if (err) return next(err);
+
+        docs['/foo?write=true']._rev = '2-abc';
+
+        setImmediate(function () {
+          cached.users.add('bar', 'foo', function (err) {
+            if (err) return next(err);
+
+            expect(requests[requests.length - 1].method).to.equal('PUT');
+            expect(requests[requests.length - 1].url).to.equal('/foo/-rev/2-abc');
+
+            next();
+          });
+        });
+      });
+    });
+
+    it('does not update the package when the user is a maintainer', function (next) {
+      docs['/-/user/org.couchdb.user:foo'] = { name: 'foo', email: 'foo@example.com' };
+
+      reg.users.add('foo', 'foo', function (err) {
+        if (err) return next(err);
+
+        expect(requests).to.have.length(2);
+        next();
+      });
+    });
+  });
+
+  describe('#remove', function () {
+    it('removes the user from the maintainers of the package', function (next) {
+      docs['/foo?write=true'].maintainers.push({ name: 'bar', email: 'bar@example.com' });
+
+      reg.users.remove('bar', 'foo', function (err) {
+        if (err) return next(err);
+
+        expect(requests[1].method).to.equal('PUT');
+        expect(requests[1].body.maintainers).to.deep.equal([
+          { name: 'foo', email: 'foo@example.com' }
+        ]);
+
+        next();
+      });
+    });
+
+    it('refuses to remove the last maintainer', function (next) {
+      reg.users.remove('foo', 'foo', function (err) {
+        expect(err).to.be.instanceOf(Error);
+        expect(requests).to.have.length(1);
+
+        next();
+      });
+    });
+  });
+
+  describe('#create', function () {
+    it('creates the account', function (next) {
+      reg.users.create('foo', 'foo@example.com', 'secret', function (err) {
+        if (err) return next(err);
+
+        expect(requests).to.have.length(1);
+        expect(requests[0].method).to.equal('PUT');
+        expect(requests[0].url).to.contain('/-/user/org.couchdb.user:foo');
+        expect(requests[0].body.name).to.equal('foo');
+        expect(requests[0].body.email).to.equal('foo@example.com');
+        expect(requests[0].body.password).to.equal('secret');
+
+        next();
+      });
+    });
+
+    it('accepts passwords without a colon', function (next) {
+      reg.users.create('foo', 'foo@example.com', 'correct horse battery staple', function (err) {
+        if (err) return next(err);
+
+        expect(requests[0].body.password).to.equal('correct horse battery staple');
+        next();
+      });
+    });
+
+    it('refuses passwords that contain a colon', function (next) {
+      reg.users.create('foo', 'foo@example.com', 'sec:ret', function (err) {
+        expect(err).to.be.instanceOf(Registry.errors.InvalidInput);
+        expect(err.message).to.contain(':');
+        expect(requests).to.have.length(0);
+
+        next();
+      });
+    });
+  });
+
+  describe('#login', function () {
+    it('polls the done URL of the web login until we receive a token', function (next) {
+      var opened;
+
+      reg.users.login({
+        hostname: 'laptop',
+        interval: 1000,
+        open: function (url) { opened = url; }
+      }, function (err, login) {
+        if (err) return next(err);
+
+        expect(requests[0].method).to.equal('POST');
+        expect(requests[0].body).to.deep.equal({ hostname: 'laptop' });
+        expect(opened).to.contain('/login?id=abc');
+        expect(polls).to.equal(3);
+        expect(login.token).to.equal('secret');
+        expect(reg.authorize(reg.api)).to.equal('Bearer secret');
+
+        next();
+      });
+    });
+
+    it('only talks to the registry', function (next) {
+      var mirror = mock(function (req, res) {
+        res.end(JSON.stringify({ token: 'mirrored' }));
+      }, function (uri) {
+        failures = 2;
+        reg = new Registry({
+          registry: reg.api,
+          mirrors: [uri],
+          mindelay: 1,
+          maxdelay: 5,
+          retries: 2
+        });
+
+        reg.users.login({ interval: 0, open: function () {} }, function (err, login) {
+          mirror.close();
+          if (err) return next(err);
+
+          expect(mirror.requests).to.have.length(0);
+          expect(login.token).to.equal('secret');
+
+          next();
+        });
+      });
+    });
+
+    it('gives up after the timeout', function (next) {
+      reg.users.login({
+        timeout: 0,
+        open: function () {}
+      }, function (err) {
+        expect(err).to.be.instanceOf(Registry.errors.RegistryError);
+        expect(err.message).to.contain('Timed out');
+        expect(reg.authorize(reg.api)).to.equal(undefined);
+
+        next();
+      });
+    });
+
+    it('requires an open function', function (next) {
+      reg.users.login({}, function (err) {
+        expect(err).to.be.instanceOf(Registry.errors.InvalidInput);
+        expect(requests).to.have.length(0);
+
+        next();
+      });
+    });
+  });
+
+  describe('#sync', function () {
+    it('adds the target to all packages of the source', function (next) {
+      reg.users.sync('foo', 'bar', function (err, results) {
+        if (err) return next(err);
+
+        expect(results).to.have.length(2);
+        expect(results[0]).to.deep.equal({ name: 'foo', action: 'add', error: undefined });
+        expect(results[1]).to.deep.equal({ name: 'baz', action: 'add', error: undefined });
+
+        next();
+      });
+    });
+
+    it('can be restricted to a list of packages', function (next) {
+      reg.users.sync('foo', 'bar', { packages: ['baz'] }, function (err, results) {
+        if (err) return next(err);
+
+        expect(results).to.have.length(1);
+        expect(results[0].name).to.equal('baz');
+
+        next();
+      });
+    });
+
+    it('reports the failures per package', function (next) {
+      delete docs['/baz?write=true'];
+
+      reg.users.sync('foo', 'bar', function (err, results) {
+        if (err) return next(err);
+
+        expect(results[0].error).to.equal(undefined);
+        expect(results[1].error).to.be.instanceOf(Error);
+
+        next();
+      });
+    });
+
+    it('removes ownership when add is false', function (next) {
+      reg.users.sync('foo', 'bar', { add: false }, function (err, results) {
+        if (err) return next(err);
+
+        expect(results[0].action).to.equal('remove');
+        next();
+      });
+    });
+  });
+
+  describe('without a callback', function () {
+    it('iterates over the packages of a user', function (next) {
+      var iterator = reg.users.list('foo')[Symbol.asyncIterator]()
+        , names = [];
+
+      (function step() {
+        iterator.next().then(function (result) {
+          if (!result.done) {
+            names.push(result.value.name);
+            return step();
+          }
+
+          expect(names).to.deep.equal(['foo', 'baz']);
+          expect(requests).to.have.length(1);
+
+          next();
+        }).catch(next);
+      }());
+    });
+
+    it('resolves with the result', function (next) {
+      reg.users.get('bar').then(function (user) {
+        expect(user[0].name).to.equal('bar');
+        next();
+      }).catch(next);
+    });
+
+    it('rejects invalid arguments', function (next) {
+      var assign = reg.users.create('foo', 'foo@example.com', '');
+
+      expect(assign.map).to.be.a('function');
+
+      assign.then(function () {
+        next(new Error('Should not resolve'));
+      }, function (err) {
+        expect(err.message).to.equal('Missing password');
+        expect(requests).to.have.length(0);
+
+        next();
+      });
+    });
+  });
+});
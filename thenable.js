@@ -0,0 +1,144 @@
+'use strict';
+
+var slice = Array.prototype.slice;
+
+/**
+ * Create the callback of a method that was called without one. The outcome is
+ * stored until somebody asks for the promise so we don't trigger unhandled
+ * rejections when the result is used as `Assign` or stream instead.
+ *
+ * @returns {Function} The callback with a `promise` function.
+ * @api private
+ */
+function deferred() {
+  var outcome, settle, promise;
+
+  /**
+   * Store the outcome of the method.
+   *
+   * @param {Error} err Optional error argument.
+   * @param {Mixed} data The result of the method.
+   * @api private
+   */
+  function callback(err, data) {
+    if (outcome) return;
+
+    outcome = { err: err, data: data };
+    if (settle) settle();
+  }
+
+  /**
+   * Lazily create the promise of the outcome.
+   *
+   * @returns {Promise}
+   * @api private
+   */
+  callback.promise = function lazy() {
+    if (promise) return promise;
+
+    return promise = new Promise(function executor(resolve, reject) {
+      settle = function settled() {
+        if (outcome.err) return reject(outcome.err);
+        resolve(outcome.data);
+      };
+
+      if (outcome) settle();
+    });
+  };
+
+  return callback;
+}
+
+/**
+ * Iterate over the rows of a list returning method, the list is only requested
+ * once for every iterator.
+ *
+ * @param {Function} promise Returns the promise of the list.
+ * @returns {Object} Async iterator.
+ * @api private
+ */
+function iterate(promise) {
+  var index = 0
+    , iterator;
+
+  iterator = {
+    next: function next() {
+      return promise().then(function found(rows) {
+        rows = rows || [];
+
+        if (index >= rows.length) return { value: undefined, done: true };
+        return { value: rows[index++], done: false };
+      });
+    },
+
+    return: function stop() {
+      index = Infinity;
+      return Promise.resolve({ value: undefined, done: true });
+    }
+  };
+
+  if ('undefined' !== typeof Symbol && Symbol.asyncIterator) {
+    iterator[Symbol.asyncIterator] = function asyncIterator() {
+      return iterator;
+    };
+  }
+
+  return iterator;
+}
+
+/**
+ * Wrap the methods of an endpoint so they return a thenable when they are
+ * called without a callback. The callback is always the last argument of the
+ * method, the `Assign` or other object that the method returns receives the
+ * `then` and `catch` methods so chaining keeps working. The thenables of the
+ * `lists` can also be used with `for await`.
+ *
+ * @param {Function} Endpoint The endpoint whose prototype should be wrapped.
+ * @param {Array} methods Names of the methods.
+ * @param {Array} lists Names of the methods that return a list.
+ * @api private
+ */
+module.exports = function thenable(Endpoint, methods, lists) {
+  lists = lists || [];
+
+  methods.concat(lists).forEach(function each(name) {
+    var method = Endpoint.prototype[name]
+      , list = !!~lists.indexOf(name);
+
+    Endpoint.prototype[name] = function promised() {
+      var args = slice.call(arguments)
+        , fn = deferred()
+        , result;
+
+      if ('function' === typeof args[args.length - 1]) {
+        return method.apply(this, args);
+      }
+
+      //
+      // Optional arguments can be omitted so the callback needs to be placed
+      // at the position of the last parameter.
+      //
+      while (args.length < method.length - 1) args.push(undefined);
+      args.push(fn);
+
+      result = method.apply(this, args);
+      if (!result || 'object' !== typeof result) result = {};
+
+      result.then = function then(resolved, rejected) {
+        return fn.promise().then(resolved, rejected);
+      };
+
+      result.catch = function caught(rejected) {
+        return fn.promise().then(undefined, rejected);
+      };
+
+      if (list && 'undefined' !== typeof Symbol && Symbol.asyncIterator) {
+        result[Symbol.asyncIterator] = function asyncIterator() {
+          return iterate(fn.promise);
+        };
+      }
+
+      return result;
+    };
+  });
+};
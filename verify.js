@@ -0,0 +1,205 @@
+'use strict';
+
+var crypto = require('crypto');
+
+/**
+ * The predicate type prefix of SLSA provenance attestations.
+ *
+ * @type {String}
+ * @private
+ */
+var slsa = 'https://slsa.dev/provenance/';
+
+/**
+ * Transform a base64 encoded DER public key of the registry in to a PEM key.
+ *
+ * @param {String} key The base64 encoded key.
+ * @returns {String} The PEM encoded key.
+ * @api private
+ */
+function pem(key) {
+  return '-----BEGIN PUBLIC KEY-----\n'
+  + key.match(/.{1,64}/g).join('\n')
+  +'\n-----END PUBLIC KEY-----\n';
+}
+
+/**
+ * Find the key with the given id and check that it was valid when the release
+ * was published. Releases without a publication date are checked against the
+ * current date.
+ *
+ * @param {Array} keys The public keys of the registry.
+ * @param {String} keyid The id of the key.
+ * @param {Date} published When the release was published.
+ * @returns {Object} The `key` or the `reason` why it cannot be used.
+ * @api private
+ */
+function lookup(keys, keyid, published) {
+  var key = keys.filter(function filter(key) {
+    return key.keyid === keyid;
+  })[0];
+
+  if (!key) return { reason: 'Signed with an unknown key '+ keyid };
+  if (key.expires && new Date(key.expires) < new Date(published || Date.now())) {
+    return { reason: 'Signed with the key '+ keyid +' that expired on '+ key.expires };
+  }
+
+  return { key: key };
+}
+
+/**
+ * Create the Pre-Authentication Encoding of a DSSE envelope, this is what the
+ * signatures of the envelope are created over.
+ *
+ * @param {String} type The payload type.
+ * @param {Buffer} payload The payload.
+ * @returns {Buffer}
+ * @api private
+ */
+function pae(type, payload) {
+  return Buffer.concat([
+    new Buffer('DSSEv1 '+ Buffer.byteLength(type) +' '+ type +' '+ payload.length +' '),
+    payload
+  ]);
+}
+
+/**
+ * Get the hex encoded sha512 digest of the tarball from the integrity of
+ * a release.
+ *
+ * @param {Object} dist The dist information of the release.
+ * @returns {String|Undefined} The digest.
+ * @api private
+ */
+function sha512(dist) {
+  var hash = (dist.integrity || '').split(/\s+/).filter(function filter(hash) {
+    return 'sha512-' === hash.slice(0, 7);
+  })[0];
+
+  if (hash) return new Buffer(hash.slice(7), 'base64').toString('hex');
+}
+
+/**
+ * Verify the signatures that the registry added to the `dist` of a release.
+ * The signatures are ECDSA signatures over `name@version:integrity`.
+ *
+ * @param {Object} release The release.
+ * @param {Array} keys The public keys of the registry.
+ * @param {Date} published When the release was published.
+ * @returns {Object} The `verified` state, the `keyid` and the `reason` of failures.
+ * @api public
+ */
+exports.signatures = function signatures(release, keys, published) {
+  var dist = release.dist || {}
+    , signed = dist.signatures || []
+    , message = release.name +'@'+ release.version +':'+ dist.integrity
+    , result = { verified: false };
+
+  if (!signed.length) return { verified: false, reason: 'The release is not signed' };
+  if (!dist.integrity) return { verified: false, reason: 'The release has no integrity' };
+
+  signed.some(function some(signature) {
+    var found = lookup(keys, signature.keyid, published)
+      , verifier;
+
+    if (!found.key) {
+      result.reason = found.reason;
+      return false;
+    }
+
+    try {
+      verifier = crypto.createVerify('SHA256');
+      verifier.update(message);
+      result.verified = verifier.verify(pem(found.key.key), signature.sig, 'base64');
+    } catch (e) { result.verified = false; }
+
+    result.keyid = signature.keyid;
+    result.reason = result.verified ? undefined : 'Invalid signature for the key '+ signature.keyid;
+
+    return result.verified;
+  });
+
+  if (!result.reason) delete result.reason;
+  return result;
+};
+
+/**
+ * Parse a Sigstore bundle of the attestations API and verify that it describes
+ * the tarball of the release and that the DSSE envelope is signed by the key
+ * of the registry. Bundles that are signed with a certificate are marked as
+ * unverified with a `verified` of `null`, as we don't verify the certificate
+ * chain and the transparency log entries of Sigstore.
+ *
+ * @param {Object} data The attestation with its `predicateType` and `bundle`.
+ * @param {Object} release The release.
+ * @param {Array} keys The public keys of the registry.
+ * @param {Date} published When the release was published.
+ * @returns {Object} The parsed attestation.
+ * @api public
+ */
+exports.attestation = function attestation(data, release, keys, published) {
+  var bundle = data.bundle || {}
+    , envelope = bundle.dsseEnvelope || {}
+    , material = bundle.verificationMaterial || {}
+    , signature = (envelope.signatures || [])[0] || {}
+    , purl = 'pkg:npm/'+ (release.name || '').replace(/^@/, '%40') +'@'+ release.version
+    , digest = sha512(release.dist || {})
+    , payload = new Buffer(envelope.payload || '', 'base64')
+    , result = { predicateType: data.predicateType, verified: false }
+    , statement, found, key;
+
+  try { statement = JSON.parse(payload.toString('utf-8')); }
+  catch (e) {
+    result.reason = 'Unable to parse the in-toto statement';
+    return result;
+  }
+
+  result.predicateType = statement.predicateType || result.predicateType;
+  result.subject = statement.subject || [];
+  result.predicate = statement.predicate || {};
+
+  if (!result.subject.some(function some(subject) {
+    return subject.name === purl && digest && (subject.digest || {}).sha512 === digest;
+  })) {
+    result.reason = 'The attestation does not describe '+ purl;
+    return result;
+  }
+
+  if (!material.publicKey) {
+    result.verified = null;
+    result.reason = 'Attestations signed with a certificate cannot be verified';
+    return result;
+  }
+
+  found = lookup(keys, material.publicKey.hint, published);
+  if (!found.key) {
+    result.reason = found.reason;
+    return result;
+  }
+
+  key = pem(found.key.key);
+
+  try {
+    result.verified = crypto.verify(
+      'sha256',
+      pae(envelope.payloadType || '', payload),
+      key,
+      new Buffer(signature.sig || '', 'base64')
+    );
+  } catch (e) { result.verified = false; }
+
+  if (!result.verified) result.reason = 'Invalid signature of the attestation';
+  return result;
+};
+
+/**
+ * Check if an attestation is a SLSA provenance attestation.
+ *
+ * @param {Object} attestation The parsed attestation.
+ * @returns {Boolean}
+ * @api public
+ */
+exports.provenance = function provenance(attestation) {
+  return 'string' === typeof attestation.predicateType
+  && slsa === attestation.predicateType.slice(0, slsa.length);
+};